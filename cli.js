@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import * as scrape from './src/commands/scrape.js';
+import * as chrome from './src/commands/chrome.js';
+import * as config from './src/commands/config.js';
+import * as exportCommand from './src/commands/export.js';
+import * as serve from './src/commands/serve.js';
+import * as diff from './src/commands/diff.js';
+import * as spread from './src/commands/spread.js';
+import * as breakout from './src/commands/breakout.js';
+import * as history from './src/commands/history.js';
+import * as gaps from './src/commands/gaps.js';
+import * as daemon from './src/commands/daemon.js';
+
+const COMMANDS = {
+  scrape,
+  chrome,
+  config,
+  export: exportCommand,
+  serve,
+  diff,
+  spread,
+  breakout,
+  history,
+  gaps,
+  daemon
+};
+
+const USAGE = `Uso: spotify-charts <comando> [opciones]
+
+Comandos:
+  scrape    Descarga charts de Spotify (ver "spotify-charts scrape --help")
+  chrome    Abre Chrome con depuración remota para usarlo con "scrape --connect"
+  config    Muestra la configuración efectiva ("spotify-charts config print")
+  export    Exporta los charts a CSV, NDJSON o Parquet ("spotify-charts export --help")
+  serve     Arranca una API REST local con los charts guardados ("spotify-charts serve --help")
+  diff      Compara un chart entre dos fechas ("spotify-charts diff --help")
+  spread    Muestra cómo se extiende cada canción entre países ("spotify-charts spread --help")
+  breakout  Canciones que han entrado en muchos países nuevos en los últimos días
+  history   Serie diaria de una canción o un artista en JSON o CSV ("spotify-charts history --help")
+  gaps      Charts que faltan o están incompletos, para volver a descargarlos ("spotify-charts gaps --help")
+  daemon    Descarga el chart de cada día según una expresión cron ("spotify-charts daemon --help")`;
+
+async function main() {
+  const [commandName, ...args] = process.argv.slice(2);
+
+  if (!commandName || commandName === '--help' || commandName === '-h') {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`❌ Error: Comando desconocido "${commandName}"`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(command.USAGE);
+    return;
+  }
+
+  await command.run(args);
+}
+
+main().catch(error => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,24 +1,22 @@
-import sql from 'mssql';
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { config, OUTPUT_DIR, LOAD_CONCURRENCY } from './src/config.js';
+import { parseChartFileName } from './src/charts.js';
+import { checkChartQuality, saveQualityReport, quarantinePath, summarizeIssues } from './src/quality.js';
+import { runPool } from './src/pool.js';
+import {
+    LOAD_STATUS, LOAD_LEDGER_FILE, archivePath, failedPath, hashContent, loadLoadLedger, findLoaded, recordLoad
+} from './src/loads.js';
+import { STORAGE_DRIVERS, createStorage } from './src/storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuración de la base de datos
-const dbConfig = {
-    user: 'sa',
-    password: 'TuPasswordSegura123!',
-    server: 'localhost',
-    port: 1433,
-    database: 'spotify_charts',
-    options: {
-        encrypt: false,
-        trustServerCertificate: true,
-        enableArithAbort: true
-    }
-};
+// Subcarpetas de OUTPUT_DIR con los JSON descargados de cada fecha
+const DATE_FOLDER_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
 // Configuración de logs
 const LOG_FILE = path.join(__dirname, 'database_load.log');
@@ -39,139 +37,172 @@ function log(message, isError = false) {
     fs.appendFileSync(LOG_FILE, logMessage + '\n');
 }
 
+// Función para extraer el tipo y periodo del chart del nombre del archivo
+function extractChartFromFilename(filename) {
+    const parsed = parseChartFileName(filename);
+    return parsed ? parsed.chart : null;
+}
+
 // Función para extraer el código de país del nombre del archivo
 function extractCountryFromFilename(filename) {
-    const match = filename.match(/spotify_([a-z]+)_daily_/i);
-    return match ? match[1].toLowerCase() : null;
+    const parsed = parseChartFileName(filename);
+    return parsed ? parsed.country : null;
 }
 
 // Función para extraer la fecha del nombre del archivo
 function extractDateFromFilename(filename) {
-    const match = filename.match(/daily_(\d{4}-\d{2}-\d{2})\.json$/);
-    return match ? match[1] : null;
+    const parsed = parseChartFileName(filename);
+    return parsed ? parsed.date : null;
 }
 
-// Función para insertar datos en la base de datos
-async function insertTrackData(pool, country, date, totalTracks, track) {
-    const tableName = `spotify_data_${country}`;
+// Función para mover un archivo ya cargado a data/archive/<fecha>/, comprimido con gzip si se pide
+function archiveFile(filePath, filename, date, gzip) {
+    const destination = archivePath(filename, date, { gzip, dataDir: OUTPUT_DIR });
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
     
-    try {
-        const query = `
-            INSERT INTO ${tableName} (
-                date, 
-                total_tracks, 
-                rank, 
-                uri, 
-                artist_names, 
-                track_name, 
-                source, 
-                peak_rank, 
-                previous_rank, 
-                days_on_chart, 
-                streams_today
-            ) VALUES (
-                @date, 
-                @total_tracks, 
-                @rank, 
-                @uri, 
-                @artist_names, 
-                @track_name, 
-                @source, 
-                @peak_rank, 
-                @previous_rank, 
-                @days_on_chart, 
-                @streams_today
-            )
-        `;
-        
-        const request = pool.request();
-        request.input('date', sql.Date, new Date(date));
-        request.input('total_tracks', sql.Int, totalTracks);
-        request.input('rank', sql.Int, track.rank);
-        request.input('uri', sql.NVarChar(255), track.uri);
-        request.input('artist_names', sql.NVarChar(255), track.artist_names);
-        request.input('track_name', sql.NVarChar(255), track.track_name);
-        request.input('source', sql.NVarChar(255), track.source || null);
-        request.input('peak_rank', sql.Int, track.peak_rank || null);
-        request.input('previous_rank', sql.Int, track.previous_rank || null);
-        request.input('days_on_chart', sql.Int, track.days_on_chart || null);
-        request.input('streams_today', sql.Int, track.streams);
-        
-        await request.query(query);
-        
-        return true;
-    } catch (error) {
-        log(`Error insertando track rank ${track.rank} en tabla ${tableName}: ${error.message}`, true);
-        log(`Detalles del track: ${JSON.stringify(track)}`, true);
-        return false;
+    if (gzip) {
+        fs.writeFileSync(destination, zlib.gzipSync(fs.readFileSync(filePath)));
+        fs.unlinkSync(filePath);
+    } else {
+        fs.renameSync(filePath, destination);
     }
+    
+    return destination;
+}
+
+// Función para mover un archivo que no se pudo cargar a data/failed/<fecha>/
+function moveToFailed(filePath, filename, date) {
+    const destination = failedPath(filename, date, OUTPUT_DIR);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.renameSync(filePath, destination);
+    return destination;
 }
 
 // Función para procesar un archivo JSON
-async function processJsonFile(pool, filePath, filename) {
+// Los archivos cargados se archivan y los que fallan se quedan donde están (o van a data/failed/)
+// para volver a procesarlos; nunca se borran
+async function processJsonFile(storage, filePath, filename, { ledger, gzip, moveFailed }) {
     log(`Procesando archivo: ${filename}`);
+    const startTime = Date.now();
     
     try {
         // Leer el archivo JSON
         const fileContent = fs.readFileSync(filePath, 'utf8');
+        const sha256 = hashContent(fileContent);
         const data = JSON.parse(fileContent);
         
-        // Extraer información
+        // Extraer información (los JSON antiguos no incluyen chart/period)
+        const chart = extractChartFromFilename(filename);
         const country = extractCountryFromFilename(filename);
         const date = data.date || extractDateFromFilename(filename);
-        const totalTracks = data.total_tracks || 200;
         
         if (!country) {
             log(`No se pudo extraer el código de país del archivo: ${filename}`, true);
             return { success: 0, failed: 0 };
         }
         
-        log(`País: ${country.toUpperCase()}, Fecha: ${date}, Total tracks: ${totalTracks}`);
-        
         // Verificar que exista el array de tracks
         if (!data.tracks || !Array.isArray(data.tracks)) {
             log(`No se encontró el array de tracks en el archivo: ${filename}`, true);
             return { success: 0, failed: 0 };
         }
         
-        let successCount = 0;
-        let failedCount = 0;
+        // Si falta total_tracks se usa el número real de filas
+        const totalTracks = data.total_tracks ?? data.tracks.length;
+        log(`Chart: ${chart.type}-${chart.period}, País: ${country.toUpperCase()}, Fecha: ${date}, Total tracks: ${totalTracks}`);
         
-        // Insertar cada track
-        for (const track of data.tracks) {
-            const result = await insertTrackData(pool, country, date, totalTracks, track);
-            if (result) {
-                successCount++;
-                if (successCount % 50 === 0) {
-                    log(`  Insertadas ${successCount} de ${data.tracks.length} canciones...`);
-                }
-            } else {
-                failedCount++;
-            }
+        const entry = {
+            file: filename,
+            chart: `${chart.type}-${chart.period}`,
+            country,
+            date,
+            sha256,
+            rowsTotal: data.tracks.length
+        };
+        
+        // Un archivo con el mismo contenido que ya se cargó solo falta archivarlo
+        if (findLoaded(ledger, filename, sha256)) {
+            const archived = archiveFile(filePath, filename, date, gzip);
+            log(`Archivo ${filename} ya cargado con el mismo contenido, movido a ${archived}`);
+            return { success: 0, failed: 0 };
         }
         
-        log(`✓ Archivo ${filename} procesado: ${successCount} éxitos, ${failedCount} fallos`);
+        // Controles de calidad: si fallan, el archivo va a cuarentena y no se carga
+        const report = checkChartQuality(data, chart);
+        const reportPath = await saveQualityReport(report, filename, date, OUTPUT_DIR);
+        if (report.warnings.length > 0) {
+            log(`Avisos de calidad en ${filename}: ${summarizeIssues(report.warnings)}`);
+        }
+        if (!report.passed) {
+            const quarantined = quarantinePath(filename, date, OUTPUT_DIR);
+            fs.mkdirSync(path.dirname(quarantined), { recursive: true });
+            fs.renameSync(filePath, quarantined);
+            log(`Archivo ${filename} no pasa los controles de calidad (${summarizeIssues(report.errors)}). Movido a ${quarantined}, informe en ${reportPath}`, true);
+            await recordLoad(ledger, {
+                ...entry,
+                status: LOAD_STATUS.QUARANTINED,
+                rowsLoaded: 0,
+                rowsFailed: data.tracks.length,
+                durationMs: Date.now() - startTime,
+                movedTo: quarantined,
+                error: summarizeIssues(report.errors)
+            });
+            return { success: 0, failed: data.tracks.length };
+        }
         
-        // Eliminar el archivo después de procesarlo
+        // Cargar el archivo completo en una transacción (todo o nada)
         try {
-            fs.unlinkSync(filePath);
-            log(`✓ Archivo ${filename} eliminado correctamente`);
-        } catch (deleteError) {
-            log(`Error al eliminar el archivo ${filename}: ${deleteError.message}`, true);
+            await storage.upsertChartFile({ chart, country, date, totalTracks, tracks: data.tracks });
+        } catch (loadError) {
+            log(`Carga de ${filename} deshecha, no se guardó ninguna fila: ${loadError.message}`, true);
+            const movedTo = moveFailed ? moveToFailed(filePath, filename, date) : null;
+            log(movedTo ? `Archivo ${filename} movido a ${movedTo}` : `Archivo ${filename} se queda en su carpeta para reintentarlo`, true);
+            await recordLoad(ledger, {
+                ...entry,
+                status: LOAD_STATUS.FAILED,
+                rowsLoaded: 0,
+                rowsFailed: data.tracks.length,
+                durationMs: Date.now() - startTime,
+                movedTo,
+                error: loadError.message
+            });
+            return { success: 0, failed: data.tracks.length };
         }
         
-        return { success: successCount, failed: failedCount };
+        log(`✓ Archivo ${filename} procesado: ${data.tracks.length} filas guardadas`);
+        
+        // Archivar el archivo (la carga ya quedó anotada aunque falle el movimiento)
+        let archived = null;
+        try {
+            archived = archiveFile(filePath, filename, date, gzip);
+            log(`✓ Archivo ${filename} archivado en ${archived}`);
+        } catch (archiveError) {
+            log(`Error al archivar el archivo ${filename}: ${archiveError.message}`, true);
+        }
+        
+        await recordLoad(ledger, {
+            ...entry,
+            status: LOAD_STATUS.LOADED,
+            rowsLoaded: data.tracks.length,
+            rowsFailed: 0,
+            durationMs: Date.now() - startTime,
+            movedTo: archived
+        });
+        
+        return { success: data.tracks.length, failed: 0 };
         
     } catch (error) {
         log(`Error procesando archivo ${filename}: ${error.message}`, true);
         log(`Stack trace: ${error.stack}`, true);
+        // Código de salida distinto de 0 para quien lanza la carga (p.ej. "spotify-charts daemon --load")
+        process.exitCode = 1;
         return { success: 0, failed: 0 };
     }
 }
 
 // Función para procesar una carpeta de fecha
-async function processDateFolder(pool, dateFolder) {
-    const dateFolderPath = path.join(__dirname, 'data', dateFolder);
+async function processDateFolder(storage, dateFolder, options) {
+    const dateFolderPath = path.join(OUTPUT_DIR, dateFolder);
     
     if (!fs.existsSync(dateFolderPath)) {
         log(`La carpeta ${dateFolder} no existe`, true);
@@ -190,12 +221,13 @@ async function processDateFolder(pool, dateFolder) {
     let totalSuccess = 0;
     let totalFailed = 0;
     
-    for (const file of jsonFiles) {
+    // Cada archivo se carga en su propia transacción, así que se pueden cargar varios a la vez
+    await runPool(jsonFiles, options.concurrency, async file => {
         const filePath = path.join(dateFolderPath, file);
-        const result = await processJsonFile(pool, filePath, file);
+        const result = await processJsonFile(storage, filePath, file, options);
         totalSuccess += result.success;
         totalFailed += result.failed;
-    }
+    });
     
     return { success: totalSuccess, failed: totalFailed, files: jsonFiles.length };
 }
@@ -208,22 +240,54 @@ async function main() {
     }
     
     log('='.repeat(80));
-    log('INICIO DE CARGA DE DATOS A SQL SERVER');
+    log('INICIO DE CARGA DE DATOS');
     log('='.repeat(80));
     
-    let pool;
+    let storage;
+    const startTime = Date.now();
     
     try {
-        // Conectar a la base de datos
+        const { values } = parseArgs({
+            options: {
+                storage: { type: 'string', default: config.storage.driver },
+                concurrency: { type: 'string' },
+                gzip: { type: 'boolean', default: false },
+                'move-failed': { type: 'boolean', default: false }
+            }
+        });
+        const concurrency = values.concurrency === undefined ? LOAD_CONCURRENCY : Number(values.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`--concurrency debe ser un número entero mayor que 0 (recibido "${values.concurrency}")`);
+        }
+        log(`Archivos en paralelo: ${concurrency}`);
+        
+        if (!STORAGE_DRIVERS.includes(values.storage)) {
+            throw new Error(`--storage debe ser uno de: ${STORAGE_DRIVERS.join(', ')} (recibido "${values.storage}")`);
+        }
+        storage = createStorage(config, values.storage);
+        log(`Almacenamiento: ${storage.name}`);
+        
+        const ledger = await loadLoadLedger(LOAD_LEDGER_FILE);
+        const options = { concurrency, ledger, gzip: values.gzip, moveFailed: values['move-failed'] };
+        
+        // Conectar a la base de datos (una conexión por cada archivo que se carga a la vez)
+        // La base de datos se crea si no existe (p.ej. con un volumen nuevo de docker-compose)
         log('Conectando a la base de datos...');
-        pool = await sql.connect(dbConfig);
-        log('✓ Conexión establecida correctamente');
+        const { created } = await storage.connect({ concurrency });
+        log(created ? '✓ Base de datos creada y conectada' : '✓ Conexión establecida correctamente');
+        
+        // Aplicar las migraciones pendientes del esquema
+        const { applied, version } = await storage.ensureSchema();
+        for (const migration of applied) {
+            log(`✓ Migración ${migration.version} aplicada: ${migration.description}`);
+        }
+        log(`Versión del esquema: ${version}`);
         
         // Leer las carpetas en el directorio data
-        const dataDir = path.join(__dirname, 'data');
-        const folders = fs.readdirSync(dataDir).filter(item => {
-            const itemPath = path.join(dataDir, item);
-            return fs.statSync(itemPath).isDirectory();
+        // Solo las carpetas de fecha (se ignoran temp, quality, quarantine, el perfil de Chrome...)
+        const folders = fs.readdirSync(OUTPUT_DIR).filter(item => {
+            const itemPath = path.join(OUTPUT_DIR, item);
+            return DATE_FOLDER_REGEX.test(item) && fs.statSync(itemPath).isDirectory();
         });
         
         log(`\nEncontradas ${folders.length} carpetas de fechas`);
@@ -234,29 +298,38 @@ async function main() {
         let totalFailedInserts = 0;
         
         for (const folder of folders) {
-            const result = await processDateFolder(pool, folder);
+            const result = await processDateFolder(storage, folder, options);
             totalFilesProcessed += result.files;
             totalSuccessInserts += result.success;
             totalFailedInserts += result.failed;
         }
         
         // Resumen final
+        const elapsedSeconds = (Date.now() - startTime) / 1000;
+        const rowsPerSecond = elapsedSeconds > 0 ? totalSuccessInserts / elapsedSeconds : 0;
+        
         log('\n' + '='.repeat(80));
         log('RESUMEN FINAL');
         log('='.repeat(80));
         log(`Total de archivos procesados: ${totalFilesProcessed}`);
-        log(`Total de inserciones exitosas: ${totalSuccessInserts}`);
-        log(`Total de inserciones fallidas: ${totalFailedInserts}`);
-        log(`Tasa de éxito: ${totalFilesProcessed > 0 ? ((totalSuccessInserts / (totalSuccessInserts + totalFailedInserts)) * 100).toFixed(2) : 0}%`);
+        log(`Total de filas guardadas: ${totalSuccessInserts}`);
+        log(`Total de filas no guardadas: ${totalFailedInserts}`);
+        // Si todos los archivos ya estaban cargados no hay filas con las que calcular la tasa
+        const totalRows = totalSuccessInserts + totalFailedInserts;
+        log(`Tasa de éxito: ${totalRows > 0 ? ((totalSuccessInserts / totalRows) * 100).toFixed(2) : 0}%`);
+        log(`Tiempo total: ${elapsedSeconds.toFixed(1)} s`);
+        log(`Rendimiento: ${rowsPerSecond.toFixed(0)} filas/s`);
         log('='.repeat(80));
         
     } catch (error) {
         log(`Error fatal en la ejecución: ${error.message}`, true);
         log(`Stack trace: ${error.stack}`, true);
+        // Código de salida distinto de 0 para quien lanza la carga (p.ej. "spotify-charts daemon --load")
+        process.exitCode = 1;
     } finally {
         // Cerrar conexión
-        if (pool) {
-            await pool.close();
+        if (storage) {
+            await storage.close();
             log('Conexión cerrada');
         }
     }
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import { CHART_TYPES, DEFAULT_CHART, PERIODS } from '../charts.js';
+
+// Descripción OpenAPI 3 de la API REST, servida en GET /openapi.json
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'));
+
+export const DEFAULT_LIMIT = 200;
+export const MAX_LIMIT = 1000;
+
+// Parámetro reutilizable de query string
+function queryParameter(name, description, schema) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+const DATE_SCHEMA = { type: 'string', format: 'date', example: '2025-12-16' };
+
+const PARAMETERS = {
+  country: {
+    name: 'country', in: 'path', required: true,
+    description: 'Código del país (o de la ciudad en los charts city), p.ej. es, mx o global',
+    schema: { type: 'string', example: 'es' }
+  },
+  chart: queryParameter('chart', `Tipo de chart (por defecto ${DEFAULT_CHART.type})`,
+    { type: 'string', enum: Object.keys(CHART_TYPES) }),
+  period: queryParameter('period', 'Periodo del chart (por defecto, el primero que admita el chart)',
+    { type: 'string', enum: PERIODS }),
+  chartFilter: queryParameter('chart', 'Solo este tipo de chart', { type: 'string', enum: Object.keys(CHART_TYPES) }),
+  periodFilter: queryParameter('period', 'Solo este periodo', { type: 'string', enum: PERIODS }),
+  countries: queryParameter('country', 'Solo estos países, separados por comas', { type: 'string', example: 'es,mx' }),
+  from: queryParameter('from', 'Fecha inicial (incluida; en los semanales se ajusta al jueves que cierra su semana)', DATE_SCHEMA),
+  to: queryParameter('to', 'Fecha final (incluida; en los semanales se ajusta al jueves que cierra su semana)', DATE_SCHEMA),
+  limit: queryParameter('limit', `Filas por página (por defecto ${DEFAULT_LIMIT}, máximo ${MAX_LIMIT})`,
+    { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }),
+  offset: queryParameter('offset', 'Filas a saltar', { type: 'integer', minimum: 0, default: 0 })
+};
+
+const ref = name => ({ $ref: `#/components/parameters/${name}` });
+
+// Respuesta paginada con campos adicionales
+function pageResponse(description, properties) {
+  return {
+    description,
+    headers: { ETag: { description: 'Huella del contenido; úsala en If-None-Match', schema: { type: 'string' } } },
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            ...properties,
+            data: { type: 'array', items: { $ref: '#/components/schemas/ChartRow' } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+          }
+        }
+      }
+    }
+  };
+}
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const COMMON_RESPONSES = {
+  304: { description: 'El contenido no ha cambiado desde el ETag de If-None-Match' },
+  400: errorResponse('Parámetros no válidos')
+};
+
+const CHART_PROPERTIES = {
+  chart: { type: 'string' },
+  period: { type: 'string' },
+  country: { type: 'string' },
+  date: { type: 'string', format: 'date' }
+};
+
+export function buildOpenApi() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Spotify Charts API',
+      version,
+      description: 'Consulta de los charts descargados, desde los JSON de data/ o desde la base de datos. ' +
+        'Las listas están paginadas con limit y offset, y todas las respuestas llevan ETag.'
+    },
+    paths: {
+      '/charts/{country}/latest': {
+        get: {
+          summary: 'Último chart guardado de un país',
+          parameters: [ref('country'), ref('chart'), ref('period'), ref('limit'), ref('offset')],
+          responses: {
+            200: pageResponse('Filas del chart por rank', CHART_PROPERTIES),
+            ...COMMON_RESPONSES,
+            404: errorResponse('No hay ningún chart guardado de ese país')
+          }
+        }
+      },
+      '/charts/{country}/{date}': {
+        get: {
+          summary: 'Chart de un país en una fecha',
+          parameters: [
+            ref('country'),
+            { name: 'date', in: 'path', required: true, description: 'Fecha del chart (en los semanales, cualquier día de la semana)', schema: DATE_SCHEMA },
+            ref('chart'), ref('period'), ref('limit'), ref('offset')
+          ],
+          responses: {
+            200: pageResponse('Filas del chart por rank', CHART_PROPERTIES),
+            ...COMMON_RESPONSES,
+            404: errorResponse('No hay chart de ese país en esa fecha')
+          }
+        }
+      },
+      '/tracks/{uri}/history': {
+        get: {
+          summary: 'Historial de una canción en los charts',
+          parameters: [
+            {
+              name: 'uri', in: 'path', required: true,
+              description: 'URI de Spotify (spotify:track:...) o solo el identificador de la canción',
+              schema: { type: 'string', example: 'spotify:track:3n3Ppam7vgaVa1iaRUc9Lp' }
+            },
+            ref('countries'), ref('from'), ref('to'), ref('chartFilter'), ref('periodFilter'), ref('limit'), ref('offset')
+          ],
+          responses: {
+            200: pageResponse('Puestos de la canción por fecha', { uri: { type: 'string' } }),
+            ...COMMON_RESPONSES
+          }
+        }
+      },
+      '/artists/{name}/charts': {
+        get: {
+          summary: 'Charts en los que aparece un artista',
+          description: 'Canciones que acreditan al artista (artist_names separado por artistas) y sus puestos ' +
+            'en los charts de artistas. El nombre no distingue mayúsculas.',
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'Bad Bunny' } },
+            ref('countries'), ref('from'), ref('to'), ref('chartFilter'), ref('periodFilter'), ref('limit'), ref('offset')
+          ],
+          responses: {
+            200: pageResponse('Filas en las que aparece el artista por fecha', { artist: { type: 'string' } }),
+            ...COMMON_RESPONSES
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'Esta descripción OpenAPI',
+          responses: { 200: { description: 'Documento OpenAPI 3', content: { 'application/json': {} } } }
+        }
+      }
+    },
+    components: {
+      parameters: PARAMETERS,
+      schemas: {
+        ChartRow: {
+          type: 'object',
+          properties: {
+            chart_type: { type: 'string' },
+            period: { type: 'string' },
+            country: { type: 'string' },
+            date: { type: 'string', format: 'date' },
+            rank: { type: 'integer' },
+            uri: { type: 'string', nullable: true },
+            artist_names: { type: 'string', nullable: true },
+            track_name: { type: 'string', nullable: true },
+            source: { type: 'string', nullable: true },
+            peak_rank: { type: 'integer', nullable: true },
+            previous_rank: { type: 'integer', nullable: true },
+            days_on_chart: { type: 'integer', nullable: true },
+            weeks_on_chart: { type: 'integer', nullable: true },
+            streams: { type: 'integer', format: 'int64', nullable: true }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            offset: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer', description: 'Filas totales sin paginar' },
+            next: { type: 'string', nullable: true, description: 'Ruta de la página siguiente' }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' } }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import http from 'http';
+import crypto from 'crypto';
+import { validateDate } from '../utils.js';
+import { CHART_TYPES, DEFAULT_CHART, PERIODS, snapDate, snapToWeekEnd, validateChart } from '../charts.js';
+import { DEFAULT_LIMIT, MAX_LIMIT, buildOpenApi } from './openapi.js';
+
+// API REST de solo lectura sobre un origen de datos (src/sources.js)
+// Solo usa el módulo http de Node: rutas GET, respuestas JSON paginadas y ETag
+
+// Error con el código HTTP que se devuelve al cliente
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Función para convertir una lista separada por comas en array
+function splitList(value) {
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Función para leer un entero de la query string
+function integerParam(query, name, defaultValue, min, max) {
+  const raw = query.get(name);
+  if (raw === null) {
+    return defaultValue;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new HttpError(400, `El parámetro ${name} "${raw}" no es válido (entero entre ${min} y ${max})`);
+  }
+  return value;
+}
+
+// Función para leer una fecha YYYY-MM-DD
+function dateParam(name, value) {
+  if (!validateDate(value)) {
+    throw new HttpError(400, `La fecha de ${name} "${value}" no es válida. Usa el formato YYYY-MM-DD`);
+  }
+  return value;
+}
+
+// Chart pedido en ?chart=&period= (por defecto el regional diario, como el scraper)
+function chartParam(query) {
+  const type = query.get('chart') || DEFAULT_CHART.type;
+  const period = query.get('period') || CHART_TYPES[type]?.periods[0];
+  try {
+    return validateChart(type, period);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+// Filtros opcionales de las rutas de historial: ?country=es,mx&from=&to=&chart=&period=
+function filterParams(query) {
+  const filters = {
+    countries: query.get('country') ? splitList(query.get('country')) : undefined,
+    from: query.get('from') ? dateParam('from', query.get('from')) : undefined,
+    to: query.get('to') ? dateParam('to', query.get('to')) : undefined,
+    chart: query.get('chart') || undefined,
+    period: query.get('period') || undefined
+  };
+
+  if (filters.chart && !CHART_TYPES[filters.chart]) {
+    throw new HttpError(400, `Tipo de chart "${filters.chart}" no válido. Usa uno de: ${Object.keys(CHART_TYPES).join(', ')}`);
+  }
+  if (filters.period && filters.chart) {
+    const { periods } = CHART_TYPES[filters.chart];
+    if (!periods.includes(filters.period)) {
+      throw new HttpError(400, `El chart "${filters.chart}" no tiene periodo "${filters.period}". Usa uno de: ${periods.join(', ')}`);
+    }
+  } else if (filters.period && !PERIODS.includes(filters.period)) {
+    throw new HttpError(400, `Periodo "${filters.period}" no válido. Usa uno de: ${PERIODS.join(', ')}`);
+  }
+
+  // Las fechas semanales (también las de los charts que solo son semanales) se ajustan al jueves que
+  // cierra su semana, como en el scraper
+  const chartPeriods = filters.chart ? CHART_TYPES[filters.chart].periods : PERIODS;
+  if ((filters.period ?? chartPeriods.join()) === 'weekly') {
+    filters.from = filters.from && snapToWeekEnd(filters.from);
+    filters.to = filters.to && snapToWeekEnd(filters.to);
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new HttpError(400, `La fecha from ${filters.from} es posterior a la fecha to ${filters.to}`);
+  }
+  return filters;
+}
+
+// Página de filas según ?limit=&offset=, con la ruta de la siguiente página
+function paginate(rows, url) {
+  const limit = integerParam(url.searchParams, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT);
+  const offset = integerParam(url.searchParams, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+
+  let next = null;
+  if (offset + limit < rows.length) {
+    const nextQuery = new URLSearchParams(url.searchParams);
+    nextQuery.set('offset', String(offset + limit));
+    nextQuery.set('limit', String(limit));
+    next = `${url.pathname}?${nextQuery}`;
+  }
+
+  return {
+    data: rows.slice(offset, offset + limit),
+    pagination: { offset, limit, total: rows.length, next }
+  };
+}
+
+// Respuesta de un chart completo (fecha concreta o la última)
+async function chartResponse(source, url, country, date) {
+  const chart = chartParam(url.searchParams);
+  const rows = await source.chart({ chart, country, date });
+  if (!rows) {
+    throw new HttpError(404, `No hay chart ${chart.type} ${chart.period} de "${country}" en ${date}`);
+  }
+  return { chart: chart.type, period: chart.period, country, date, ...paginate(rows, url) };
+}
+
+// Rutas de la API: patrón de la ruta y función que devuelve el cuerpo de la respuesta
+// latest va antes que :date para que no se tome como una fecha
+const ROUTES = [
+  {
+    pattern: /^\/charts\/([^/]+)\/latest$/,
+    async handle(source, url, [country]) {
+      country = country.toLowerCase();
+      const chart = chartParam(url.searchParams);
+      const date = await source.latestDate({ chart, country });
+      if (!date) {
+        throw new HttpError(404, `No hay ningún chart ${chart.type} ${chart.period} de "${country}"`);
+      }
+      return chartResponse(source, url, country, date);
+    }
+  },
+  {
+    pattern: /^\/charts\/([^/]+)\/([^/]+)$/,
+    handle(source, url, [country, date]) {
+      const chart = chartParam(url.searchParams);
+      return chartResponse(source, url, country.toLowerCase(), snapDate(chart, dateParam('la ruta', date)));
+    }
+  },
+  {
+    pattern: /^\/tracks\/([^/]+)\/history$/,
+    async handle(source, url, [uri]) {
+      // Se admite solo el identificador de la canción, sin el prefijo spotify:track:
+      const fullUri = uri.startsWith('spotify:') ? uri : `${CHART_TYPES.regional.uriPrefix}${uri}`;
+      const rows = await source.trackHistory(fullUri, filterParams(url.searchParams));
+      return { uri: fullUri, ...paginate(rows, url) };
+    }
+  },
+  {
+    pattern: /^\/artists\/([^/]+)\/charts$/,
+    async handle(source, url, [name]) {
+      const rows = await source.artistCharts(name, filterParams(url.searchParams));
+      return { artist: name, ...paginate(rows, url) };
+    }
+  },
+  {
+    pattern: /^\/openapi\.json$/,
+    handle: () => buildOpenApi()
+  }
+];
+
+// Función para enviar una respuesta JSON con ETag (304 si el cliente ya tiene esa versión)
+function sendJson(request, response, status, body) {
+  const payload = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+
+  response.setHeader('Content-Type', 'application/json; charset=utf-8');
+  response.setHeader('ETag', etag);
+  response.setHeader('Cache-Control', 'no-cache');
+
+  const ifNoneMatch = request.headers['if-none-match'];
+  const matches = ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*');
+  if (status === 200 && matches) {
+    response.writeHead(304);
+    response.end();
+    return 304;
+  }
+
+  response.writeHead(status);
+  response.end(request.method === 'HEAD' ? undefined : payload);
+  return status;
+}
+
+// Función para atender una petición
+async function handleRequest(source, request, response) {
+  const url = new URL(request.url, 'http://localhost');
+
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    response.setHeader('Allow', 'GET, HEAD');
+    throw new HttpError(405, `Método ${request.method} no permitido`);
+  }
+
+  for (const route of ROUTES) {
+    const match = url.pathname.match(route.pattern);
+    if (match) {
+      let params;
+      try {
+        params = match.slice(1).map(decodeURIComponent);
+      } catch {
+        throw new HttpError(400, `Ruta mal codificada: ${url.pathname}`);
+      }
+      return sendJson(request, response, 200, await route.handle(source, url, params));
+    }
+  }
+
+  throw new HttpError(404, `Ruta no encontrada: ${url.pathname}. La descripción de la API está en /openapi.json`);
+}
+
+// Crea el servidor HTTP de la API sobre un origen de datos
+// onRequest(request, status, durationMs) se llama al terminar cada petición (para los logs)
+export function createApiServer(source, { onRequest = () => {} } = {}) {
+  return http.createServer(async (request, response) => {
+    const start = Date.now();
+    let status;
+    try {
+      status = await handleRequest(source, request, response);
+    } catch (error) {
+      const httpError = error instanceof HttpError ? error : new HttpError(500, 'Error interno del servidor');
+      status = sendJson(request, response, httpError.status, { error: httpError.message });
+      if (!(error instanceof HttpError)) {
+        console.error(`❌ Error en ${request.method} ${request.url}: ${error.message}`);
+      }
+    }
+    onRequest(request, status, Date.now() - start);
+  });
+}
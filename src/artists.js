@@ -0,0 +1,48 @@
+// Separación de la columna artist_names de los CSV de Spotify ("Artista 1, Artista 2")
+// Algunos artistas llevan una coma en el nombre y no se deben partir
+
+// Artistas conocidos con coma en el nombre
+export const ARTISTS_WITH_COMMA = [
+  'Tyler, The Creator',
+  'Earth, Wind & Fire',
+  'Crosby, Stills, Nash & Young',
+  'Crosby, Stills & Nash',
+  'Emerson, Lake & Palmer',
+  'Peter, Paul and Mary',
+  'Blood, Sweat & Tears',
+  'Lyle, Lyle, Crocodile'
+];
+
+// Clave que identifica a un artista: el nombre sin distinguir mayúsculas ("FEID" y "Feid" son el mismo)
+// Es la misma regla en los JSON y en todos los almacenamientos (columna artists.name_key)
+export function artistKey(name) {
+  return name.trim().toLowerCase();
+}
+
+// Función para separar artist_names en la lista de artistas, en el orden del CSV y sin repetidos
+export function splitArtistNames(artistNames, knownNames = ARTISTS_WITH_COMMA) {
+  if (!artistNames) {
+    return [];
+  }
+
+  let parts = artistNames.split(',').map(part => part.trim()).filter(Boolean);
+  const artists = [];
+
+  while (parts.length > 0) {
+    // Primero se busca el artista conocido más largo que empiece en esta posición
+    const known = knownNames
+      .map(name => name.split(',').map(part => part.trim()))
+      .filter(nameParts => nameParts.length <= parts.length &&
+        nameParts.every((part, index) => part.toLowerCase() === parts[index].toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+
+    const length = known ? known.length : 1;
+    const name = parts.slice(0, length).join(', ');
+    if (!artists.some(artist => artistKey(artist) === artistKey(name))) {
+      artists.push(name);
+    }
+    parts = parts.slice(length);
+  }
+
+  return artists;
+}
@@ -0,0 +1,112 @@
+import { BASE_URL } from './config.js';
+
+// Tipos de chart soportados: prefijo de la URL, periodos disponibles, título y tipo de URI de sus filas
+export const CHART_TYPES = {
+  regional: { slug: 'regional', periods: ['daily', 'weekly'], title: 'Top Songs', uriPrefix: 'spotify:track:' },
+  viral: { slug: 'viral', periods: ['daily', 'weekly'], title: 'Viral Songs', uriPrefix: 'spotify:track:' },
+  city: { slug: 'citytoplist', periods: ['weekly'], title: 'City Top Songs', uriPrefix: 'spotify:track:' },
+  artist: { slug: 'artist', periods: ['weekly'], title: 'Top Artists', uriPrefix: 'spotify:artist:' },
+  album: { slug: 'album', periods: ['weekly'], title: 'Top Albums', uriPrefix: 'spotify:album:' }
+};
+
+export const PERIODS = ['daily', 'weekly'];
+
+export const DEFAULT_CHART = { type: 'regional', period: 'daily' };
+
+// Los charts semanales de Spotify terminan en jueves (semana de viernes a jueves)
+const WEEK_END_DAY = 4;
+
+// Función para validar un tipo de chart y su periodo
+export function validateChart(type, period) {
+  const chartType = CHART_TYPES[type];
+  if (!chartType) {
+    throw new Error(`Tipo de chart "${type}" no válido. Usa uno de: ${Object.keys(CHART_TYPES).join(', ')}`);
+  }
+  if (!chartType.periods.includes(period)) {
+    throw new Error(`El chart "${type}" no tiene periodo "${period}". Usa uno de: ${chartType.periods.join(', ')}`);
+  }
+  return { type, period };
+}
+
+// Ajusta una fecha al jueves que cierra su semana de chart
+export function snapToWeekEnd(date) {
+  const current = new Date(`${date}T00:00:00Z`);
+  const offset = (WEEK_END_DAY - current.getUTCDay() + 7) % 7;
+  current.setUTCDate(current.getUTCDate() + offset);
+  return current.toISOString().slice(0, 10);
+}
+
+// Ajusta la fecha según el periodo del chart (las diarias no cambian)
+export function snapDate(chart, date) {
+  if (date === 'latest' || chart.period !== 'weekly') {
+    return date;
+  }
+  return snapToWeekEnd(date);
+}
+
+// Columnas de los CSV de canciones; los semanales cuentan semanas en lugar de días
+const TRACK_COLUMNS = ['rank', 'uri', 'artist_names', 'track_name', 'source', 'peak_rank', 'previous_rank'];
+
+// Columnas que debe traer el CSV de un chart, o null si no se conoce su formato
+export function expectedColumns(chart) {
+  const onChart = chart.period === 'weekly' ? 'weeks_on_chart' : 'days_on_chart';
+  if (chart.type === 'regional') {
+    return [...TRACK_COLUMNS, onChart, 'streams'];
+  }
+  if (chart.type === 'viral') {
+    return [...TRACK_COLUMNS, onChart];
+  }
+  return null;
+}
+
+// Identificador corto del chart, p.ej. "regional-daily"
+export function chartId(chart) {
+  return `${chart.type}-${chart.period}`;
+}
+
+// Función para construir la URL de un chart
+export function buildChartUrl(chart, country, date = 'latest') {
+  const { slug } = CHART_TYPES[chart.type];
+  return `${BASE_URL}/${slug}-${country}-${chart.period}/${date}`;
+}
+
+// Título que se guarda en el JSON, p.ej. "Spotify Daily Top Songs"
+export function chartTitle(chart) {
+  const period = chart.period.charAt(0).toUpperCase() + chart.period.slice(1);
+  return `Spotify ${period} ${CHART_TYPES[chart.type].title}`;
+}
+
+// Patrón del CSV que descarga Spotify, p.ej. regional-es-daily-2025-12-16.csv
+// El grupo 1 captura la fecha
+export function expectedCsvPattern(chart, country) {
+  const prefix = `${CHART_TYPES[chart.type].slug}-${country}-${chart.period}`;
+  return new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})\\.csv$`, 'i');
+}
+
+// Nombre del archivo JSON de salida
+// Los charts regionales mantienen el formato original: spotify_es_daily_2025-12-16.json
+// El resto incluyen el tipo: spotify_viral_es_weekly_2025-12-18.json
+export function chartFileName(chart, country, date) {
+  const typePrefix = chart.type === 'regional' ? '' : `${chart.type}_`;
+  return `spotify_${typePrefix}${country}_${chart.period}_${date}.json`;
+}
+
+const FILE_NAME_REGEX = new RegExp(
+  `^spotify_(?:(${Object.keys(CHART_TYPES).filter(t => t !== 'regional').join('|')})_)?` +
+  `([a-z0-9-]+)_(${PERIODS.join('|')})_(\\d{4}-\\d{2}-\\d{2})\\.json$`,
+  'i'
+);
+
+// Función para extraer chart, país y fecha del nombre de un archivo JSON
+export function parseChartFileName(filename) {
+  const match = filename.match(FILE_NAME_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    chart: { type: (match[1] || 'regional').toLowerCase(), period: match[3].toLowerCase() },
+    country: match[2].toLowerCase(),
+    date: match[4]
+  };
+}
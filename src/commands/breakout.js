@@ -0,0 +1,94 @@
+import { parseArgs } from 'util';
+import { OUTPUT_DIR, config } from '../config.js';
+import { validateDate } from '../utils.js';
+import { DEFAULT_CHART, validateChart } from '../charts.js';
+import { STORAGE_DRIVERS } from '../storage/index.js';
+import { checkSourceOptions, openDataSource } from '../sources.js';
+import { DEFAULT_BREAKOUT_DAYS, DEFAULT_BREAKOUT_MIN_COUNTRIES, SPREAD_CHARTS, findBreakouts, shiftDate } from '../spread.js';
+import { formatNumber, printTable, truncate } from '../table.js';
+
+const FORMATS = ['table', 'json'];
+
+export const USAGE = `Uso: spotify-charts breakout [opciones]
+
+Informe de "breakouts": canciones que han entrado en N o más países nuevos en los últimos K días
+(el chart global no cuenta). Un país es nuevo si la canción debuta en su chart esos días.
+
+Opciones:
+  --date YYYY-MM-DD              Último día del informe (por defecto el último chart guardado)
+  --days <k>                     Días de la ventana, incluido --date (por defecto ${DEFAULT_BREAKOUT_DAYS})
+  --min-countries <n>            Países nuevos mínimos (por defecto ${DEFAULT_BREAKOUT_MIN_COUNTRIES})
+  --chart <tipo>                 ${SPREAD_CHARTS.join(' o ')} (por defecto ${DEFAULT_CHART.type}, siempre diario)
+  --format <formato>             table (tablas legibles) o json (por defecto table)
+  --source <origen>              json (archivos de ${OUTPUT_DIR}) o db (base de datos) (por defecto json)
+  --storage <driver>             Almacenamiento a leer con --source db: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})`;
+
+// Función para leer una opción entera positiva
+function parsePositiveInteger(values, name) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`El valor de --${name} "${values[name]}" no es válido`);
+  }
+  return value;
+}
+
+// Imprime el informe como tabla
+function printBreakouts(breakouts, { date, days, minCountries }) {
+  printTable(`🚀 Canciones en ${minCountries}+ países nuevos (${shiftDate(date, -(days - 1))} → ${date})`, [
+    { label: 'Nuevos', value: track => track.new_countries, right: true },
+    { label: 'Canción', value: track => truncate(track.track_name) },
+    { label: 'Artistas', value: track => truncate(track.artist_names, 30) },
+    { label: `Países ${date}`, value: track => track.countries_on_date, right: true },
+    { label: 'Rank mediano', value: track => formatNumber(track.median_rank_on_date), right: true },
+    { label: 'Entra en', value: track => truncate(track.entered.map(entry => entry.country).join(', '), 50) }
+  ], breakouts);
+}
+
+export async function run(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      date: { type: 'string' },
+      days: { type: 'string', default: String(DEFAULT_BREAKOUT_DAYS) },
+      'min-countries': { type: 'string', default: String(DEFAULT_BREAKOUT_MIN_COUNTRIES) },
+      chart: { type: 'string', default: DEFAULT_CHART.type },
+      format: { type: 'string', default: 'table' },
+      source: { type: 'string', default: 'json' },
+      storage: { type: 'string' }
+    }
+  });
+
+  if (!SPREAD_CHARTS.includes(values.chart)) {
+    throw new Error(`El chart "${values.chart}" no es un chart diario de canciones por país (usa ${SPREAD_CHARTS.join(' o ')})`);
+  }
+  const chart = validateChart(values.chart, 'daily');
+  const days = parsePositiveInteger(values, 'days');
+  const minCountries = parsePositiveInteger(values, 'min-countries');
+  if (values.date !== undefined && !validateDate(values.date)) {
+    throw new Error(`La fecha de --date "${values.date}" no es válida. Usa el formato YYYY-MM-DD`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`El valor de --format "${values.format}" no es válido (usa ${FORMATS.join(', ')})`);
+  }
+  const { source: sourceName, driver } = checkSourceOptions(values);
+
+  const source = await openDataSource(sourceName, driver);
+  try {
+    const date = values.date || await source.latestDate({ chart });
+    if (!date) {
+      throw new Error(`No hay charts ${chart.type} ${chart.period} guardados en ${source.name}`);
+    }
+
+    const rows = await source.rows({ chart: chart.type, period: chart.period, from: shiftDate(date, -(days - 1)), to: date });
+    const breakouts = findBreakouts(rows, { date, days, minCountries });
+
+    if (values.format === 'json') {
+      console.log(JSON.stringify({ chart: chart.type, period: chart.period, date, days, min_countries: minCountries, tracks: breakouts }, null, 2));
+    } else {
+      printBreakouts(breakouts, { date, days, minCountries });
+    }
+  } finally {
+    await source.close();
+  }
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import puppeteer from 'puppeteer';
+import { PROFILE_DIR, REMOTE_DEBUGGING_ADDRESS } from '../config.js';
+import { parseAddress } from '../utils.js';
+
+const DEFAULT_PORT = parseAddress(REMOTE_DEBUGGING_ADDRESS).port;
+
+export const USAGE = `Uso: spotify-charts chrome [opciones]
+
+Abre Chrome con depuración remota para que "spotify-charts scrape --connect" use su sesión.
+
+Opciones:
+  --port <puerto>                Puerto de depuración remota (por defecto ${DEFAULT_PORT})
+  --profile <dir>                Perfil de Chrome a usar (por defecto ${PROFILE_DIR})
+  --chrome-path <ruta>           Ejecutable de Chrome (por defecto se busca el instalado)`;
+
+// Rutas habituales de Chrome en cada sistema operativo
+function chromeCandidates() {
+  if (process.platform === 'win32') {
+    return [process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)'], process.env.LOCALAPPDATA]
+      .filter(Boolean)
+      .map(base => path.join(base, 'Google', 'Chrome', 'Application', 'chrome.exe'));
+  }
+  if (process.platform === 'darwin') {
+    return ['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'];
+  }
+  const pathDirs = (process.env.PATH || '').split(path.delimiter);
+  return ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser']
+    .flatMap(name => pathDirs.map(dir => path.join(dir, name)));
+}
+
+// Función para encontrar Chrome (si no está instalado, usa el de Puppeteer)
+function findChrome() {
+  const installed = chromeCandidates().find(candidate => fs.existsSync(candidate));
+  return installed || puppeteer.executablePath();
+}
+
+export async function run(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      profile: { type: 'string', default: PROFILE_DIR },
+      'chrome-path': { type: 'string' }
+    }
+  });
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    console.error(`❌ Error: El puerto "${values.port}" no es válido`);
+    process.exit(1);
+  }
+
+  const chromePath = values['chrome-path'] || findChrome();
+  // Chrome no permite la depuración remota con el perfil por defecto, así que se usa uno propio
+  const profileDir = path.resolve(values.profile);
+  fs.mkdirSync(profileDir, { recursive: true });
+
+  console.log('🚀 Iniciando Chrome con debugging remoto...');
+  const child = spawn(chromePath, [
+    `--remote-debugging-port=${port}`,
+    `--user-data-dir=${profileDir}`,
+    '--no-first-run',
+    '--no-default-browser-check'
+  ], { detached: true, stdio: 'ignore' });
+
+  child.on('error', error => {
+    console.error(`❌ Error: No se pudo iniciar Chrome (${chromePath}): ${error.message}`);
+    process.exit(1);
+  });
+  child.unref();
+
+  console.log(`✅ Chrome iniciado en modo debugging en puerto ${port} (perfil ${profileDir})`);
+  console.log(`📄 Inicia sesión en Spotify Charts y después ejecuta: npx spotify-charts scrape --connect localhost:${port}`);
+}
@@ -0,0 +1,29 @@
+import { parseArgs } from 'util';
+import { CONFIG_FILE, ENV_FILE, config, configSources, redactConfig } from '../config.js';
+
+export const USAGE = `Uso: spotify-charts config print [opciones]
+
+Muestra la configuración efectiva (valores por defecto, ${CONFIG_FILE}, variables de entorno
+y ${ENV_FILE}) con las contraseñas ocultas.
+
+Opciones:
+  --sources                      Muestra también de dónde sale cada valor`;
+
+export async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      sources: { type: 'boolean', default: false }
+    }
+  });
+
+  if (positionals.length !== 1 || positionals[0] !== 'print') {
+    throw new Error(`Subcomando no reconocido: ${positionals.join(' ') || '(ninguno)'}. Usa "spotify-charts config print"`);
+  }
+
+  const output = values.sources
+    ? { config: redactConfig(config), sources: configSources }
+    : redactConfig(config);
+  console.log(JSON.stringify(output, null, 2));
+}
@@ -0,0 +1,199 @@
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import {
+  OUTPUT_DIR, SKIP_IF_EXISTS, DAEMON_SCHEDULE, DAEMON_POLL_INTERVAL_MINUTES, DAEMON_POLL_TIMEOUT_MINUTES, config
+} from '../config.js';
+import { log } from '../logger.js';
+import { sleep } from '../utils.js';
+import { chartId } from '../charts.js';
+import { STORAGE_DRIVERS } from '../storage/index.js';
+import { createJsonSource } from '../sources.js';
+import { parseCron, nextRun } from '../cron.js';
+import { acquireLock } from '../lock.js';
+import * as scrape from './scrape.js';
+
+// Archivo de bloqueo del daemon: evita que dos ejecuciones se solapen
+export const LOCK_FILE = path.join(OUTPUT_DIR, 'daemon.lock');
+
+// Script de carga en la base de datos que se encadena con --load
+const LOADER_SCRIPT = fileURLToPath(new URL('../../loadToDatabase.js', import.meta.url));
+
+// Espera máxima de cada sleep hasta la próxima ejecución (setTimeout no admite más de ~24 días)
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+export const USAGE = `Uso: spotify-charts daemon [opciones] [-- opciones de scrape]
+
+Se queda en marcha y, en cada ejecución de la expresión cron, comprueba cada cierto tiempo si Spotify ha
+publicado un chart posterior al último guardado. En cuanto lo publica descarga "latest" de todos los
+países configurados y, con --load, lo carga en la base de datos. Un archivo de bloqueo
+(${LOCK_FILE}) evita que dos ejecuciones se solapen.
+
+Opciones:
+  --schedule "<cron>"            Expresión cron de 5 campos en hora local (por defecto "${DAEMON_SCHEDULE}")
+  --poll-interval <minutos>      Espera entre comprobaciones mientras no hay chart nuevo
+                                 (por defecto ${DAEMON_POLL_INTERVAL_MINUTES})
+  --poll-timeout <minutos>       Tiempo máximo esperando el chart nuevo en cada ejecución, 0 = una sola
+                                 comprobación (por defecto ${DAEMON_POLL_TIMEOUT_MINUTES})
+  --once                         Hace una sola ejecución ahora y termina (para lanzarlo desde el cron del sistema)
+  --load                         Ejecuta loadToDatabase.js cuando se descarga un chart nuevo
+  --storage <driver>             Almacenamiento de la carga con --load: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})
+
+Las opciones tras "--" se pasan a cada "spotify-charts scrape latest" (p.ej. -- --http --headless
+--countries es,mx). No se admiten otros modos de scrape ni --force.`;
+
+// Función para leer una opción en minutos
+function parseMinutes(values, name, defaultValue, min) {
+  if (values[name] === undefined) {
+    return defaultValue;
+  }
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`El valor de --${name} "${values[name]}" no es válido`);
+  }
+  return value;
+}
+
+// Última fecha guardada en los JSON (incluidos los ya cargados y archivados), o null
+function latestStoredDate(chart) {
+  return createJsonSource(OUTPUT_DIR).latestDate({ chart });
+}
+
+// Función para ejecutar loadToDatabase.js en un proceso aparte
+// Devuelve el código de salida del proceso
+function runLoader(storage) {
+  return new Promise((resolve, reject) => {
+    const args = storage ? ['--storage', storage] : [];
+    const child = spawn(process.execPath, [LOADER_SCRIPT, ...args], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => resolve(code));
+  });
+}
+
+// Una ejecución: espera a que se publique un chart posterior al último guardado, lo descarga y,
+// si se pide, lo carga. Devuelve true si se ha descargado un chart nuevo
+async function runOnce(plan, options) {
+  const lock = acquireLock(LOCK_FILE);
+  if (!lock.acquired) {
+    const owner = lock.owner ? ` (PID ${lock.owner.pid} desde ${lock.owner.started_at})` : '';
+    await log(`Otra ejecución tiene el bloqueo ${LOCK_FILE}${owner}, se salta esta ejecución`, 'WARNING');
+    return false;
+  }
+  process.on('exit', lock.release);
+
+  try {
+    const before = await latestStoredDate(plan.chart);
+    const beforeLabel = before ?? '(ninguno guardado)';
+    await log(`Buscando un chart ${chartId(plan.chart)} posterior a ${beforeLabel}`, 'SEARCH');
+
+    const deadline = Date.now() + options.pollTimeout * 60 * 1000;
+    let latest = before;
+    for (;;) {
+      await scrape.run(options.scrapeArgs);
+      latest = await latestStoredDate(plan.chart);
+      if (latest && (!before || latest > before)) {
+        break;
+      }
+
+      const wait = options.pollInterval * 60 * 1000;
+      if (Date.now() + wait > deadline) {
+        await log(`Spotify no ha publicado un chart posterior a ${beforeLabel} en el tiempo de espera, se reintentará en la próxima ejecución`, 'WARNING');
+        return false;
+      }
+      await log(`Aún no hay chart posterior a ${beforeLabel}, nueva comprobación en ${options.pollInterval} min`, 'WAIT');
+      await sleep(wait);
+    }
+
+    await log(`Descargado el chart ${chartId(plan.chart)} del ${latest}`, 'SUCCESS');
+
+    if (options.load) {
+      await log('Cargando los charts en la base de datos...', 'START');
+      const code = await runLoader(options.storage);
+      await log(code === 0 ? 'Carga terminada' : `La carga ha terminado con código ${code}`, code === 0 ? 'SUCCESS' : 'ERROR');
+    }
+    return true;
+  } finally {
+    lock.release();
+    process.removeListener('exit', lock.release);
+  }
+}
+
+export async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      schedule: { type: 'string', default: DAEMON_SCHEDULE },
+      'poll-interval': { type: 'string' },
+      'poll-timeout': { type: 'string' },
+      once: { type: 'boolean', default: false },
+      load: { type: 'boolean', default: false },
+      storage: { type: 'string' }
+    }
+  });
+
+  // Todo lo que va tras "--" es para scrape
+  const separator = args.indexOf('--');
+  const passthrough = separator === -1 ? [] : args.slice(separator + 1);
+  if (positionals.length > passthrough.length) {
+    throw new Error(`Argumento no reconocido: ${positionals.slice(0, positionals.length - passthrough.length).join(' ')}`);
+  }
+  const scrapeArgs = ['latest', ...passthrough];
+
+  const cron = parseCron(values.schedule);
+  const options = {
+    scrapeArgs,
+    pollInterval: parseMinutes(values, 'poll-interval', DAEMON_POLL_INTERVAL_MINUTES, 1),
+    pollTimeout: parseMinutes(values, 'poll-timeout', DAEMON_POLL_TIMEOUT_MINUTES, 0),
+    load: values.load,
+    storage: values.storage
+  };
+  if (values.storage !== undefined) {
+    if (!values.load) {
+      throw new Error('--storage solo se puede usar con --load');
+    }
+    if (!STORAGE_DRIVERS.includes(values.storage)) {
+      throw new Error(`El valor de --storage "${values.storage}" no es válido (usa ${STORAGE_DRIVERS.join(', ')})`);
+    }
+  }
+
+  // Se validan ya las opciones de scrape para no descubrir el error en la primera ejecución
+  const plan = scrape.buildJobs(scrapeArgs);
+  if (plan.mode !== 'latest') {
+    throw new Error('El daemon solo descarga "latest": no admite --from/--to, --dates, --target, --resume ni --retry-failed');
+  }
+  if (plan.force || !SKIP_IF_EXISTS) {
+    throw new Error('El daemon necesita la comprobación de archivos existentes (sin --force ni skipIfExists=false) para saber si hay un chart nuevo');
+  }
+
+  if (values.once) {
+    await runOnce(plan, options);
+    return;
+  }
+
+  // Al parar el daemon se libera el bloqueo desde process.on('exit')
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      await log(`Daemon detenido (${signal})`, 'INFO');
+      process.exit(0);
+    });
+  }
+
+  await log(`Daemon iniciado con la expresión "${cron.expression}" (PID ${process.pid})`, 'START');
+  for (;;) {
+    const next = nextRun(cron);
+    await log(`Próxima ejecución: ${next.toLocaleString('es-ES')}`, 'PAUSE');
+    while (Date.now() < next.getTime()) {
+      await sleep(Math.min(next.getTime() - Date.now(), MAX_SLEEP_MS));
+    }
+
+    try {
+      await runOnce(plan, options);
+    } catch (error) {
+      // Un fallo en una ejecución no para el daemon
+      await log(`Error en la ejecución: ${error.message}`, 'ERROR');
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { OUTPUT_DIR } from '../config.js';
+import { validateDate } from '../utils.js';
+import { CHART_TYPES, DEFAULT_CHART, validateChart, snapDate } from '../charts.js';
+import { DEFAULT_TOP, diffCharts, findChart, readChartFile } from '../diff.js';
+import { formatDelta, formatNumber, printTable, truncate } from '../table.js';
+
+const FORMATS = ['table', 'json'];
+
+export const USAGE = `Uso: spotify-charts diff <chart1> <chart2> [opciones]
+
+Compara un chart entre dos fechas: entradas nuevas, reentradas, salidas, mayores subidas y bajadas y
+diferencia de streams por canción. Si los charts son consecutivos, contrasta el movimiento calculado con
+el previous_rank de Spotify y señala las diferencias.
+
+Cada chart puede ser la ruta de un JSON descargado o una fecha YYYY-MM-DD, que se busca en ${OUTPUT_DIR}
+(también entre los archivados) con --country, --chart y --period.
+
+Opciones:
+  --country <pais>               País de los charts indicados por fecha
+  --chart <tipo>                 Tipo de chart: ${Object.keys(CHART_TYPES).join(', ')} (por defecto ${DEFAULT_CHART.type})
+  --period <periodo>             daily o weekly (por defecto, el primero que admita el chart)
+  --top <n>                      Subidas, bajadas y diferencias de streams a mostrar (por defecto ${DEFAULT_TOP})
+  --format <formato>             table (tablas legibles) o json (por defecto table)`;
+
+// Función para cargar uno de los charts: ruta de archivo o fecha
+async function loadChart(arg, { chart, country }) {
+  if (fs.existsSync(arg)) {
+    return readChartFile(arg);
+  }
+  if (!validateDate(arg)) {
+    throw new Error(`"${arg}" no es un archivo ni una fecha YYYY-MM-DD`);
+  }
+  if (!country) {
+    throw new Error(`Indica --country para buscar el chart de ${arg}`);
+  }
+  return findChart(OUTPUT_DIR, { chart, country, date: snapDate(chart, arg) });
+}
+
+const TRACK_COLUMNS = [
+  { label: 'Canción', value: row => truncate(row.track_name) },
+  { label: 'Artistas', value: row => truncate(row.artist_names, 30) }
+];
+
+// Imprime el informe como tablas legibles
+function printReport(report, top) {
+  const { summary } = report;
+  console.log(`📊 ${report.chart} ${report.period} ${report.country.toUpperCase()}: ${report.from} → ${report.to}`);
+  console.log(`   Canciones: ${summary.tracks_before} → ${summary.tracks_after}`);
+  console.log(`   Nuevas: ${summary.new_entries}, reentradas: ${summary.re_entries}, salidas: ${summary.drop_outs}`);
+  console.log(`   Suben: ${summary.climbers}, bajan: ${summary.fallers}, sin cambios: ${summary.unchanged}`);
+
+  printTable('🆕 Entradas nuevas', [
+    { label: 'Rank', value: row => row.rank, right: true },
+    ...TRACK_COLUMNS,
+    { label: 'Streams', value: row => formatNumber(row.streams), right: true }
+  ], report.new_entries);
+
+  printTable('🔁 Reentradas', [
+    { label: 'Rank', value: row => row.rank, right: true },
+    ...TRACK_COLUMNS,
+    { label: 'Mejor', value: row => row.peak_rank ?? '', right: true }
+  ], report.re_entries);
+
+  printTable('👋 Salidas', [
+    { label: 'Último', value: row => row.last_rank, right: true },
+    ...TRACK_COLUMNS
+  ], report.drop_outs);
+
+  const moveColumns = [
+    { label: 'Antes', value: row => row.from_rank, right: true },
+    { label: 'Ahora', value: row => row.to_rank, right: true },
+    { label: 'Mov.', value: row => formatDelta(row.movement), right: true },
+    ...TRACK_COLUMNS,
+    { label: 'Streams', value: row => formatDelta(row.delta), right: true }
+  ];
+  printTable('📈 Mayores subidas', moveColumns, report.climbers);
+  printTable('📉 Mayores bajadas', moveColumns, report.fallers);
+
+  // Diferencias de streams más grandes, en los charts que los traen
+  const withStreams = report.stream_deltas.filter(row => row.delta !== null);
+  if (withStreams.length > 0) {
+    const biggest = [...withStreams].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, top);
+    printTable('🎧 Mayores diferencias de streams', [
+      { label: 'Ahora', value: row => row.to_rank, right: true },
+      ...TRACK_COLUMNS,
+      { label: 'Antes', value: row => formatNumber(row.streams_before), right: true },
+      { label: 'Después', value: row => formatNumber(row.streams_after), right: true },
+      { label: 'Dif.', value: row => formatDelta(row.delta), right: true },
+      { label: '%', value: row => row.delta_pct === null ? '' : `${formatDelta(row.delta_pct)}%`, right: true }
+    ], biggest);
+  }
+
+  const check = report.previous_rank_check;
+  if (!check.checked) {
+    console.log(`\n⚠️  previous_rank no comprobado: ${check.reason}`);
+  } else if (check.mismatches.length === 0) {
+    console.log('\n✅ El movimiento calculado coincide con el previous_rank de Spotify');
+  } else {
+    printTable('❌ previous_rank distinto del calculado', [
+      { label: 'Rank', value: row => row.rank, right: true },
+      ...TRACK_COLUMNS,
+      { label: 'Calculado', value: row => row.expected ?? '-', right: true },
+      { label: 'Spotify', value: row => row.reported ?? '-', right: true }
+    ], check.mismatches);
+  }
+}
+
+export async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      country: { type: 'string' },
+      chart: { type: 'string', default: DEFAULT_CHART.type },
+      period: { type: 'string' },
+      top: { type: 'string', default: String(DEFAULT_TOP) },
+      format: { type: 'string', default: 'table' }
+    }
+  });
+
+  if (positionals.length !== 2) {
+    throw new Error('Indica los dos charts a comparar (rutas de archivo o fechas)');
+  }
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 1) {
+    throw new Error(`El valor de --top "${values.top}" no es válido`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`El valor de --format "${values.format}" no es válido (usa ${FORMATS.join(', ')})`);
+  }
+
+  const chart = validateChart(values.chart, values.period || CHART_TYPES[values.chart]?.periods[0]);
+  const options = { chart, country: values.country?.toLowerCase() };
+  const charts = await Promise.all(positionals.map(arg => loadChart(arg, options)));
+
+  // Se comparan siempre del más antiguo al más reciente
+  charts.sort((a, b) => a.date.localeCompare(b.date));
+  const report = diffCharts(charts[0], charts[1], { top });
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, top);
+  }
+}
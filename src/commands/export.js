@@ -0,0 +1,137 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { OUTPUT_DIR, config } from '../config.js';
+import { validateDate } from '../utils.js';
+import { CHART_TYPES, PERIODS } from '../charts.js';
+import { STORAGE_DRIVERS, createStorage } from '../storage/index.js';
+import { checkSourceOptions } from '../sources.js';
+import { EXPORT_FORMATS, PARTITION_KEYS, createExporter, readJsonRows, readStorageRows } from '../export.js';
+
+const EXPORT_DIR = path.join(OUTPUT_DIR, 'export');
+
+export const USAGE = `Uso: spotify-charts export [opciones]
+
+Exporta los charts descargados (los JSON de ${OUTPUT_DIR}, también los archivados) o los cargados en la
+base de datos a un conjunto de datos CSV, NDJSON o Parquet.
+
+Opciones:
+  --format <formato>             ${EXPORT_FORMATS.join(', ')} (por defecto csv)
+  --output <ruta>                Archivo de salida (por defecto ${path.join(EXPORT_DIR, 'charts.<formato>')}).
+                                 Con --partition-by es la carpeta raíz (por defecto ${EXPORT_DIR})
+  --partition-by <claves>        Un archivo por partición: ${PARTITION_KEYS.join(', ')} o ambas separadas por comas
+                                 (carpetas date=YYYY-MM-DD/country=xx)
+  --from YYYY-MM-DD              Solo charts desde esta fecha
+  --to YYYY-MM-DD                Solo charts hasta esta fecha
+  --countries es,mx,...          Solo estos países
+  --chart <tipo>                 Solo este tipo de chart: ${Object.keys(CHART_TYPES).join(', ')}
+  --period <periodo>             Solo charts ${PERIODS.join(' o ')}
+  --source <origen>              json (archivos de ${OUTPUT_DIR}) o db (base de datos) (por defecto json)
+  --storage <driver>             Almacenamiento a leer con --source db: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})`;
+
+// Función para convertir una lista separada por comas en array
+function splitList(value) {
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Función para comprobar que un valor está entre los permitidos
+function checkChoice(name, value, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`El valor de --${name} "${value}" no es válido (usa ${choices.join(', ')})`);
+  }
+  return value;
+}
+
+// Valida los argumentos y devuelve las opciones de la exportación
+export function parseExportArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string', default: 'csv' },
+      output: { type: 'string' },
+      'partition-by': { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      countries: { type: 'string' },
+      chart: { type: 'string' },
+      period: { type: 'string' },
+      source: { type: 'string', default: 'json' },
+      storage: { type: 'string' }
+    }
+  });
+
+  const format = checkChoice('format', values.format, EXPORT_FORMATS);
+  const partitionBy = values['partition-by'] ? splitList(values['partition-by']) : [];
+  partitionBy.forEach(key => checkChoice('partition-by', key, PARTITION_KEYS));
+
+  for (const name of ['from', 'to']) {
+    if (values[name] !== undefined && !validateDate(values[name])) {
+      throw new Error(`La fecha de --${name} "${values[name]}" no es válida. Usa el formato YYYY-MM-DD`);
+    }
+  }
+  if (values.from && values.to && values.from > values.to) {
+    throw new Error(`La fecha de inicio ${values.from} es posterior a la fecha de fin ${values.to}`);
+  }
+
+  const { source, driver } = checkSourceOptions(values);
+
+  const filters = {
+    from: values.from,
+    to: values.to,
+    countries: values.countries ? splitList(values.countries) : undefined,
+    chart: values.chart === undefined ? undefined : checkChoice('chart', values.chart, Object.keys(CHART_TYPES)),
+    period: values.period === undefined ? undefined : checkChoice('period', values.period, PERIODS)
+  };
+
+  const output = values.output ||
+    (partitionBy.length > 0 ? EXPORT_DIR : path.join(EXPORT_DIR, `charts.${format}`));
+
+  return {
+    format,
+    output,
+    partitionBy,
+    filters,
+    source,
+    driver: source === 'db' ? checkChoice('storage', driver, STORAGE_DRIVERS) : undefined
+  };
+}
+
+export async function run(args) {
+  const options = parseExportArgs(args);
+  const exporter = createExporter(options);
+
+  console.log(`📦 Exportando charts (${options.format}) desde ${options.source === 'db' ? `la base de datos (${options.driver})` : OUTPUT_DIR}...`);
+
+  let storage = null;
+  try {
+    let rows;
+    if (options.source === 'db') {
+      storage = createStorage(config, options.driver);
+      await storage.connect();
+      rows = readStorageRows(storage, options.filters);
+    } else {
+      rows = readJsonRows(OUTPUT_DIR, options.filters);
+    }
+
+    for await (const row of rows) {
+      await exporter.write(row);
+    }
+  } finally {
+    if (storage) {
+      await storage.close();
+    }
+  }
+
+  const result = await exporter.close();
+  if (result.rows === 0) {
+    console.log('⚠️  No hay charts que coincidan con los filtros; no se ha escrito ningún archivo');
+    return;
+  }
+
+  console.log(`✅ ${result.rows} filas exportadas en ${result.files.length} archivo(s)`);
+  if (options.partitionBy.length > 0) {
+    console.log(`📁 ${path.resolve(options.output)}`);
+  } else {
+    console.log(`📄 ${path.resolve(options.output)}`);
+  }
+}
@@ -0,0 +1,215 @@
+import { parseArgs } from 'util';
+import { COUNTRIES, OUTPUT_DIR, config } from '../config.js';
+import { validateDate } from '../utils.js';
+import { CHART_TYPES, DEFAULT_CHART, validateChart } from '../charts.js';
+import { STORAGE_DRIVERS } from '../storage/index.js';
+import { DATA_SOURCES, checkSourceOptions, openDataSource } from '../sources.js';
+import { LEDGER_FILE, enqueueJobs, loadLedger, saveLedger } from '../jobs.js';
+import { expectedDates, findGaps, gapsToJobs, scrapeArgs } from '../gaps.js';
+import { formatNumber, printTable } from '../table.js';
+import * as scrape from './scrape.js';
+
+const FORMATS = ['table', 'json', 'command'];
+
+// Con both se buscan los charts en los JSON y en la base de datos: basta con que estén en uno de los dos
+const GAP_SOURCES = [...DATA_SOURCES, 'both'];
+
+export const USAGE = `Uso: spotify-charts gaps --from YYYY-MM-DD [opciones]
+
+Busca los charts que faltan o están incompletos (con menos canciones de las esperadas) entre dos
+fechas y para una lista de países, y los convierte en trabajos de "spotify-charts scrape".
+
+Opciones:
+  --from YYYY-MM-DD              Primera fecha a revisar
+  --to YYYY-MM-DD                Última fecha a revisar (por defecto el último chart guardado)
+  --countries es,mx,...          Países (o ciudades, en charts city) a revisar (por defecto, todos)
+  --chart <tipo>                 Tipo de chart: ${Object.keys(CHART_TYPES).join(', ')} (por defecto ${DEFAULT_CHART.type})
+  --period <periodo>             daily o weekly (por defecto, el primero que admita el chart)
+  --expected <n>                 Canciones que debe tener un chart completo (por defecto, el número
+                                 más habitual de cada país en esas fechas)
+  --format <formato>             table (tablas legibles), json o command (el comando scrape que
+                                 descarga los huecos) (por defecto table)
+  --enqueue                      Añade los huecos como trabajos pendientes a ${LEDGER_FILE}
+                                 para descargarlos con "spotify-charts scrape --resume"
+  --run                          Descarga los huecos al terminar (con las opciones por defecto de scrape)
+  --source <origen>              json (archivos de ${OUTPUT_DIR}), db (base de datos) o both (cualquiera
+                                 de los dos) (por defecto json)
+  --storage <driver>             Almacenamiento a leer con --source db o both: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})`;
+
+// Función para convertir una lista separada por comas en array
+function splitList(value) {
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Función para validar --source (que aquí admite both) y --storage
+// Devuelve los orígenes a abrir y el driver del almacenamiento
+function checkGapSources(values) {
+  if (!GAP_SOURCES.includes(values.source)) {
+    throw new Error(`El valor de --source "${values.source}" no es válido (usa ${GAP_SOURCES.join(', ')})`);
+  }
+  if (values.source !== 'both') {
+    const { source, driver } = checkSourceOptions(values);
+    return { sources: [source], driver };
+  }
+  if (values.storage !== undefined && !STORAGE_DRIVERS.includes(values.storage)) {
+    throw new Error(`El valor de --storage "${values.storage}" no es válido (usa ${STORAGE_DRIVERS.join(', ')})`);
+  }
+  return { sources: DATA_SOURCES, driver: values.storage || config.storage.driver };
+}
+
+// Agrupa las fechas que faltan de cada país en rangos de fechas seguidas (según las fechas esperadas)
+function missingRanges(missing, dates) {
+  const position = new Map(dates.map((date, index) => [date, index]));
+  const byCountry = new Map();
+  for (const { country, date } of missing) {
+    if (!byCountry.has(country)) {
+      byCountry.set(country, []);
+    }
+    byCountry.get(country).push(date);
+  }
+
+  const ranges = [];
+  for (const [country, countryDates] of [...byCountry.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    for (const date of countryDates) {
+      const last = ranges.at(-1);
+      if (last?.country === country && position.get(date) === position.get(last.to) + 1) {
+        last.to = date;
+        last.dates++;
+      } else {
+        ranges.push({ country, from: date, to: date, dates: 1 });
+      }
+    }
+  }
+  return ranges;
+}
+
+// Imprime el informe como tablas
+function printGaps(gaps, dates) {
+  console.log(`\n📊 ${formatNumber(gaps.present)} de ${formatNumber(gaps.expected)} charts guardados: ` +
+    `${formatNumber(gaps.missing.length)} faltan y ${formatNumber(gaps.partial.length)} están incompletos`);
+
+  printTable('🕳️  Charts que faltan', [
+    { label: 'País', value: range => range.country },
+    { label: 'Desde', value: range => range.from },
+    { label: 'Hasta', value: range => range.to },
+    { label: 'Fechas', value: range => range.dates, right: true }
+  ], missingRanges(gaps.missing, dates));
+
+  printTable('✂️  Charts incompletos', [
+    { label: 'País', value: gap => gap.country },
+    { label: 'Fecha', value: gap => gap.date },
+    { label: 'Canciones', value: gap => gap.tracks, right: true },
+    { label: 'Esperadas', value: gap => gap.expected, right: true }
+  ], gaps.partial);
+}
+
+export async function run(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      countries: { type: 'string' },
+      chart: { type: 'string', default: DEFAULT_CHART.type },
+      period: { type: 'string' },
+      expected: { type: 'string' },
+      format: { type: 'string', default: 'table' },
+      enqueue: { type: 'boolean', default: false },
+      run: { type: 'boolean', default: false },
+      source: { type: 'string', default: 'json' },
+      storage: { type: 'string' }
+    }
+  });
+
+  if (values.from === undefined) {
+    throw new Error('Indica la primera fecha a revisar con --from YYYY-MM-DD');
+  }
+  for (const name of ['from', 'to']) {
+    if (values[name] !== undefined && !validateDate(values[name])) {
+      throw new Error(`La fecha de --${name} "${values[name]}" no es válida. Usa el formato YYYY-MM-DD`);
+    }
+  }
+  const chart = validateChart(values.chart, values.period || CHART_TYPES[values.chart]?.periods[0]);
+
+  // Los charts de ciudades no usan la lista de países
+  if (chart.type === 'city' && !values.countries) {
+    throw new Error('Los charts city requieren --countries con los identificadores de ciudad');
+  }
+  const countries = values.countries ? splitList(values.countries) : COUNTRIES;
+  if (countries.length === 0) {
+    throw new Error('--countries debe contener al menos un país');
+  }
+
+  let expectedTracks = null;
+  if (values.expected !== undefined) {
+    expectedTracks = Number(values.expected);
+    if (!Number.isInteger(expectedTracks) || expectedTracks < 1) {
+      throw new Error(`El valor de --expected "${values.expected}" no es válido`);
+    }
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`El valor de --format "${values.format}" no es válido (usa ${FORMATS.join(', ')})`);
+  }
+  if (values.enqueue && values.run) {
+    throw new Error('--enqueue no se puede combinar con --run');
+  }
+  const { sources, driver } = checkGapSources(values);
+
+  // Charts guardados en cada origen
+  let to = values.to;
+  const sizes = [];
+  for (const sourceName of sources) {
+    const source = await openDataSource(sourceName, driver);
+    try {
+      const latest = values.to ? null : await source.latestDate({ chart });
+      if (latest && (!to || latest > to)) {
+        to = latest;
+      }
+      sizes.push(...await source.chartSizes({ chart: chart.type, period: chart.period, from: values.from, to: values.to, countries }));
+    } finally {
+      await source.close();
+    }
+  }
+
+  if (!to) {
+    throw new Error(`No hay charts ${chart.type} ${chart.period} guardados: indica la última fecha con --to`);
+  }
+  if (values.from > to) {
+    throw new Error(`--from (${values.from}) es posterior a --to (${to})`);
+  }
+
+  const dates = expectedDates(chart, values.from, to);
+  const gaps = findGaps({ countries, dates, sizes, expectedTracks });
+  const jobs = gapsToJobs(chart, gaps);
+  const commandArgs = scrapeArgs(chart, jobs, { force: gaps.partial.length > 0 });
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ chart: chart.type, period: chart.period, from: values.from, to, ...gaps }, null, 2));
+  } else if (values.format === 'command') {
+    if (jobs.length > 0) {
+      console.log(`spotify-charts scrape ${commandArgs.join(' ')}`);
+    }
+  } else {
+    printGaps(gaps, dates);
+  }
+
+  if (jobs.length === 0) {
+    if (values.format === 'table') {
+      console.log('\n✅ No hay huecos que descargar');
+    }
+    return;
+  }
+
+  if (values.enqueue) {
+    const ledger = await loadLedger();
+    enqueueJobs(ledger, jobs);
+    await saveLedger(ledger);
+    // Los incompletos ya tienen archivo y scrape los saltaría sin --force
+    const resume = `spotify-charts scrape --resume${gaps.partial.length > 0 ? ' --force' : ''}`;
+    console.error(`\n📝 ${jobs.length} trabajos añadidos a ${LEDGER_FILE}. Descárgalos con "${resume}"`);
+  } else if (values.run) {
+    console.error(`\n⬇️  Descargando ${jobs.length} charts...`);
+    await scrape.run(commandArgs);
+  }
+}
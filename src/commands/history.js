@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { OUTPUT_DIR, config } from '../config.js';
+import { validateDate } from '../utils.js';
+import { CHART_TYPES, DEFAULT_CHART, validateChart } from '../charts.js';
+import { STORAGE_DRIVERS } from '../storage/index.js';
+import { checkSourceOptions, openDataSource } from '../sources.js';
+import { COLLABORATION_MODES, buildArtistHistory, buildTrackHistory, historyToCSV } from '../history.js';
+
+const FORMATS = ['json', 'csv'];
+
+export const USAGE = `Uso: spotify-charts history track <uri> [opciones]
+       spotify-charts history artist <nombre> [opciones]
+
+Serie diaria por país de una canción o de un artista: rank, streams, streams acumulados y días en el
+chart desde la primera fecha vista, con los totales por país y entre países (sin el chart global).
+En los artistas se suman los streams de todas sus canciones cada día y el rank es el mejor de ellas.
+
+Opciones:
+  --countries es,mx,...          Solo estos países
+  --from YYYY-MM-DD              Desde esta fecha
+  --to YYYY-MM-DD                Hasta esta fecha
+  --chart <tipo>                 Tipo de chart: ${Object.keys(CHART_TYPES).join(', ')} (por defecto ${DEFAULT_CHART.type})
+  --period <periodo>             daily o weekly (por defecto, el primero que admita el chart)
+  --collaborations <modo>        Streams de las colaboraciones en el historial de un artista: full (completos
+                                 para cada artista) o split (a partes iguales entre ellos) (por defecto full)
+  --format <formato>             json o csv (una fila por país y día) (por defecto json)
+  --output <archivo>             Guarda el resultado en un archivo en lugar de mostrarlo
+  --source <origen>              json (archivos de ${OUTPUT_DIR}) o db (base de datos) (por defecto json)
+  --storage <driver>             Almacenamiento a leer con --source db: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})`;
+
+// Función para convertir una lista separada por comas en array
+function splitList(value) {
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+export async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      countries: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      chart: { type: 'string', default: DEFAULT_CHART.type },
+      period: { type: 'string' },
+      collaborations: { type: 'string', default: 'full' },
+      format: { type: 'string', default: 'json' },
+      output: { type: 'string' },
+      source: { type: 'string', default: 'json' },
+      storage: { type: 'string' }
+    }
+  });
+
+  const [kind, key] = positionals;
+  if (positionals.length !== 2 || !['track', 'artist'].includes(kind)) {
+    throw new Error('Usa "spotify-charts history track <uri>" o "spotify-charts history artist <nombre>"');
+  }
+  for (const name of ['from', 'to']) {
+    if (values[name] !== undefined && !validateDate(values[name])) {
+      throw new Error(`La fecha de --${name} "${values[name]}" no es válida. Usa el formato YYYY-MM-DD`);
+    }
+  }
+  if (!COLLABORATION_MODES.includes(values.collaborations)) {
+    throw new Error(`El valor de --collaborations "${values.collaborations}" no es válido (usa ${COLLABORATION_MODES.join(', ')})`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`El valor de --format "${values.format}" no es válido (usa ${FORMATS.join(', ')})`);
+  }
+  const chart = validateChart(values.chart, values.period || CHART_TYPES[values.chart]?.periods[0]);
+  const { source: sourceName, driver } = checkSourceOptions(values);
+
+  const filters = {
+    chart: chart.type,
+    period: chart.period,
+    from: values.from,
+    to: values.to,
+    countries: values.countries ? splitList(values.countries) : undefined
+  };
+
+  let history;
+  const source = await openDataSource(sourceName, driver);
+  try {
+    if (kind === 'track') {
+      // Se admite solo el identificador de la canción, sin el prefijo spotify:track:
+      const uri = key.startsWith('spotify:') ? key : `${CHART_TYPES.regional.uriPrefix}${key}`;
+      history = buildTrackHistory(uri, await source.trackHistory(uri, filters));
+    } else {
+      history = buildArtistHistory(key, await source.artistCharts(key, filters), { collaborations: values.collaborations });
+    }
+  } finally {
+    await source.close();
+  }
+
+  if (history.countries.length === 0) {
+    throw new Error(`"${key}" no aparece en ningún chart ${chart.type} ${chart.period} con esos filtros`);
+  }
+
+  const output = values.format === 'csv' ? historyToCSV(history) : `${JSON.stringify(history, null, 2)}\n`;
+  if (!values.output) {
+    process.stdout.write(output);
+    return;
+  }
+
+  await fs.mkdir(path.dirname(path.resolve(values.output)), { recursive: true });
+  await fs.writeFile(values.output, output);
+  console.log(`✅ Historial guardado en ${path.resolve(values.output)}`);
+}
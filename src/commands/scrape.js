@@ -0,0 +1,402 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  OUTPUT_DIR, SKIP_IF_EXISTS, AUTH_TIMEOUT_SECONDS, PROFILE_DIR, COOKIES_FILE, REMOTE_DEBUGGING_ADDRESS, COUNTRIES,
+  RETRY_ATTEMPTS, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS, HTTP_DELAY_MIN_MS, HTTP_DELAY_MAX_MS,
+  DELAY_MIN_MS, DELAY_MAX_MS, CONCURRENCY, RATE_LIMIT_PER_MINUTE, HEADLESS
+} from '../config.js';
+import { log, withLogPrefix } from '../logger.js';
+import { validateDate, randomDelay, sleep, dateRange, parseAddress } from '../utils.js';
+import {
+  launchBrowser, connectBrowser, ensureAuthenticated, createWorkerContexts, processCountry
+} from '../scraper.js';
+import { createRateLimiter, runPool } from '../pool.js';
+import { CHART_TYPES, DEFAULT_CHART, validateChart, snapDate, chartId } from '../charts.js';
+import { FAILURE_KINDS, FAILURE_LABELS, classifyError } from '../errors.js';
+import { withRetry } from '../retry.js';
+import { createHttpSession, isSessionReady } from '../http.js';
+import { LEDGER_FILE, JOB_STATUS, loadLedger, saveLedger, enqueueJobs, updateJob, unfinishedJobs, failedJobs } from '../jobs.js';
+
+export const USAGE = `Uso: spotify-charts scrape [latest] [opciones]
+
+Modos:
+  latest                         Descarga el último chart publicado (por defecto)
+  --from YYYY-MM-DD --to YYYY-MM-DD
+                                 Descarga todas las fechas del rango
+  --dates YYYY-MM-DD,...         Descarga una lista de fechas concreta
+  --target YYYY-MM-DD:pais       Descarga una combinación fecha/país (repetible)
+  --resume                       Continúa los trabajos pendientes o interrumpidos del registro
+  --retry-failed                 Vuelve a ejecutar solo los trabajos fallidos del registro
+
+Opciones:
+  --chart <tipo>                 Tipo de chart: ${Object.keys(CHART_TYPES).join(', ')} (por defecto ${DEFAULT_CHART.type})
+  --period <periodo>             daily o weekly (por defecto, el primero que admita el chart).
+                                 Las fechas semanales se ajustan al jueves que cierra la semana
+  --countries es,mx,...          Países (o ciudades, en charts city) a descargar (por defecto, todos)
+  --force                        Descarga aunque ya exista el archivo
+  --http                         Tras la primera descarga, descarga por HTTP directo con la sesión
+                                 del navegador (vuelve al navegador si Spotify rechaza la petición)
+  --auth-timeout <segundos>      Espera máxima para iniciar sesión a mano si no hay sesión guardada
+                                 (por defecto ${AUTH_TIMEOUT_SECONDS})
+  --headless                     Navegador sin ventana; requiere una sesión ya guardada (por defecto ${HEADLESS})
+  --profile <dir>                Perfil persistente de Chrome (por defecto ${PROFILE_DIR})
+  --cookies <archivo>            Archivo donde se guardan las cookies de la sesión (por defecto ${COOKIES_FILE})
+  --connect <host:puerto>        Usa un Chrome ya abierto con depuración remota (p.ej. ${REMOTE_DEBUGGING_ADDRESS},
+                                 ver "spotify-charts chrome") y lo deja abierto al terminar
+  --concurrency <n>              Descargas en paralelo, cada una en su contexto de navegador (por defecto ${CONCURRENCY})
+  --rate-limit <n>               Máximo de descargas por minuto entre todos los workers, 0 = sin límite
+                                 (por defecto ${RATE_LIMIT_PER_MINUTE})
+  --retries <n>                  Reintentos por descarga ante fallos de red/timeout (por defecto ${RETRY_ATTEMPTS})
+  --retry-delay <ms>             Retardo base del backoff exponencial (por defecto ${RETRY_BASE_DELAY_MS})`;
+
+// Función para convertir una lista separada por comas en array
+function splitList(value) {
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Función para leer una opción entera no negativa
+function parseIntegerOption(values, name, defaultValue) {
+  if (values[name] === undefined) {
+    return defaultValue;
+  }
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`El valor de --${name} "${values[name]}" no es válido`);
+  }
+  return value;
+}
+
+// Valida los argumentos y construye la lista de trabajos { chart, country, date }
+// En los modos --resume y --retry-failed los trabajos se leen después del registro
+export function buildJobs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      chart: { type: 'string', default: DEFAULT_CHART.type },
+      period: { type: 'string' },
+      countries: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      dates: { type: 'string' },
+      target: { type: 'string', multiple: true },
+      resume: { type: 'boolean', default: false },
+      'retry-failed': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      http: { type: 'boolean', default: false },
+      'auth-timeout': { type: 'string' },
+      headless: { type: 'boolean' },
+      profile: { type: 'string', default: PROFILE_DIR },
+      cookies: { type: 'string', default: COOKIES_FILE },
+      connect: { type: 'string' },
+      concurrency: { type: 'string' },
+      'rate-limit': { type: 'string' },
+      retries: { type: 'string' },
+      'retry-delay': { type: 'string' }
+    }
+  });
+
+  if (positionals.length > 1 || (positionals.length === 1 && positionals[0] !== 'latest')) {
+    throw new Error(`Argumento no reconocido: ${positionals.join(' ')}`);
+  }
+
+  const hasRange = values.from !== undefined || values.to !== undefined;
+  const modes = [
+    positionals.length === 1, hasRange, values.dates !== undefined, values.target !== undefined,
+    values.resume, values['retry-failed']
+  ];
+  if (modes.filter(Boolean).length > 1) {
+    throw new Error('Usa solo uno de los modos: latest, --from/--to, --dates, --target, --resume o --retry-failed');
+  }
+
+  const period = values.period ?? CHART_TYPES[values.chart]?.periods[0];
+  const chart = validateChart(values.chart, period);
+
+  // Los charts de ciudades no usan la lista de países
+  if (chart.type === 'city' && !values.countries && !values.target) {
+    throw new Error('Los charts city requieren --countries con los identificadores de ciudad');
+  }
+
+  const countries = values.countries ? splitList(values.countries) : COUNTRIES;
+  if (countries.length === 0) {
+    throw new Error('--countries debe contener al menos un país');
+  }
+
+  const authTimeout = parseIntegerOption(values, 'auth-timeout', AUTH_TIMEOUT_SECONDS);
+  if (values.connect !== undefined) {
+    parseAddress(values.connect);
+    if (values.headless) {
+      throw new Error('--headless no se puede combinar con --connect');
+    }
+  }
+  const browserOptions = {
+    // headless de la configuración no aplica a un Chrome ya abierto
+    headless: values.connect === undefined && (values.headless ?? HEADLESS),
+    profile: values.profile,
+    cookies: values.cookies,
+    connect: values.connect ?? null
+  };
+  const retry = {
+    retries: parseIntegerOption(values, 'retries', RETRY_ATTEMPTS),
+    baseDelay: parseIntegerOption(values, 'retry-delay', RETRY_BASE_DELAY_MS),
+    maxDelay: RETRY_MAX_DELAY_MS
+  };
+
+  const concurrency = parseIntegerOption(values, 'concurrency', CONCURRENCY);
+  if (concurrency < 1) {
+    throw new Error('--concurrency debe ser al menos 1');
+  }
+  const rateLimit = parseIntegerOption(values, 'rate-limit', RATE_LIMIT_PER_MINUTE);
+
+  const options = {
+    chart, force: values.force, http: values.http, authTimeout, browser: browserOptions, retry, concurrency, rateLimit
+  };
+
+  // Modos que retoman trabajos del registro
+  if (values.resume || values['retry-failed']) {
+    if (values.countries) {
+      throw new Error('--countries no se puede combinar con --resume ni --retry-failed');
+    }
+    return { mode: values.resume ? 'resume' : 'retry-failed', jobs: null, ...options };
+  }
+
+  // Modo --target fecha:país
+  if (values.target) {
+    if (values.countries) {
+      throw new Error('--countries no se puede combinar con --target');
+    }
+
+    const jobs = values.target.map((target, i) => {
+      const [date, country] = target.split(':');
+      if (!validateDate(date)) {
+        throw new Error(`La fecha "${date}" en el target ${i + 1} no es válida. Usa formato YYYY-MM-DD`);
+      }
+      if (!country || country.trim() === '') {
+        throw new Error(`El país "${country}" en el target ${i + 1} no es válido`);
+      }
+      return { chart, country: country.trim().toLowerCase(), date: snapDate(chart, date) };
+    });
+
+    return { mode: 'target', jobs, ...options };
+  }
+
+  // Modo por fechas (--from/--to o --dates)
+  if (hasRange || values.dates) {
+    let dates;
+    if (values.dates) {
+      dates = splitList(values.dates);
+    } else {
+      if (!values.from || !values.to) {
+        throw new Error('--from y --to deben usarse juntos');
+      }
+      for (const date of [values.from, values.to]) {
+        if (!validateDate(date)) {
+          throw new Error(`La fecha "${date}" no es válida. Usa formato YYYY-MM-DD`);
+        }
+      }
+      if (values.from > values.to) {
+        throw new Error(`--from (${values.from}) es posterior a --to (${values.to})`);
+      }
+      dates = dateRange(values.from, values.to);
+    }
+
+    for (const date of dates) {
+      if (!validateDate(date)) {
+        throw new Error(`La fecha "${date}" no es válida. Usa formato YYYY-MM-DD`);
+      }
+    }
+
+    // En charts semanales varias fechas caen en la misma semana
+    dates = [...new Set(dates.map(date => snapDate(chart, date)))];
+
+    const jobs = dates.flatMap(date => countries.map(country => ({ chart, country, date })));
+    return { mode: 'dates', jobs, dates, ...options };
+  }
+
+  // Modo latest
+  const jobs = countries.map(country => ({ chart, country, date: 'latest' }));
+  return { mode: 'latest', jobs, ...options };
+}
+
+// Ejecuta los trabajos con un pool de workers (uno por contexto de navegador),
+// anotando cada estado en el registro. Devuelve los contadores para el resumen
+export async function runJobs(contexts, plan, ledger, session) {
+  const { mode, jobs } = plan;
+  const checkExistence = SKIP_IF_EXISTS && !plan.force;
+  const acquireSlot = createRateLimiter(plan.rateLimit);
+  const stats = {
+    success: 0,
+    skipped: 0,
+    errors: 0,
+    failures: Object.fromEntries(Object.values(FAILURE_KINDS).map(kind => [kind, 0]))
+  };
+
+  // Procesa un trabajo con el contexto de navegador del worker
+  const processJob = async (job, index, context, shouldCheckExistence) => {
+    const { chart, country, date } = job;
+
+    if (date !== 'latest' && (index === 0 || jobs[index - 1].date !== date)) {
+      await log(`Procesando fecha ${date}`, 'START');
+    }
+
+    try {
+      await updateJob(ledger, job, JOB_STATUS.IN_PROGRESS);
+
+      // Solo se reintentan los fallos transitorios; cada reintento cuenta como intento
+      const result = await withRetry(async () => {
+        await acquireSlot();
+        return processCountry(context, chart, country, date, { checkExistence: shouldCheckExistence, session });
+      }, {
+        ...plan.retry,
+        onRetry: async (error, attempt, delay) => {
+          await log(`Fallo transitorio en ${country} (${date}): ${error.message}. Reintento ${attempt}/${plan.retry.retries} en ${(delay / 1000).toFixed(1)}s`, 'WARNING');
+          await updateJob(ledger, job, JOB_STATUS.IN_PROGRESS, { error: error.message, errorKind: FAILURE_KINDS.TRANSIENT });
+        }
+      });
+
+      await updateJob(ledger, job, JOB_STATUS.DONE, { resolvedDate: result.date });
+
+      if (result.skipped) {
+        stats.skipped++;
+      } else {
+        stats.success++;
+      }
+      return result;
+    } catch (err) {
+      // Errores sin clase (p.ej. un TypeError de Puppeteer o un fallo al escribir el registro)
+      const kind = classifyError(err);
+      await log(`Error en ${country} (${date}) [${kind}]: ${err.message}`, 'ERROR');
+      stats.errors++;
+      stats.failures[kind]++;
+      // Si tampoco se puede anotar el fallo en el registro, el resto de trabajos sigue adelante
+      await updateJob(ledger, job, JOB_STATUS.FAILED, { error: err.message, errorKind: kind })
+        .catch(error => log(`No se pudo anotar el fallo de ${country} (${date}) en ${LEDGER_FILE}: ${error.message}`, 'ERROR'));
+      return null;
+    }
+  };
+
+  let pending = jobs.map((job, index) => ({ job, index }));
+
+  // En modo latest se comprueba primero el primer país: si ya existe se saltan todos los demás
+  if (mode === 'latest' && checkExistence) {
+    const first = await processJob(jobs[0], 0, contexts[0], true);
+    pending = pending.slice(1);
+
+    if (first && first.skipped) {
+      await log(`El país ${jobs[0].country.toUpperCase()} ya existe para la fecha ${first.date}, se saltarán todos los países`, 'INFO');
+      for (const { job } of pending) {
+        await log(`⏭️  ${job.country.toUpperCase()} saltado - Ya existe descarga completa para esta fecha`, 'INFO');
+        await updateJob(ledger, job, JOB_STATUS.DONE, { resolvedDate: first.date });
+        stats.skipped++;
+      }
+      return stats;
+    }
+  }
+
+  await runPool(pending, contexts.length, ({ job, index }, position, workerId) => {
+    const prefix = contexts.length > 1 ? `W${workerId}` : null;
+
+    return withLogPrefix(prefix, async () => {
+      await processJob(job, index, contexts[workerId - 1], mode === 'latest' ? false : checkExistence);
+
+      // Espera aleatoria entre descargas del worker (más corta por HTTP)
+      if (position < pending.length - contexts.length) {
+        const pause = isSessionReady(session)
+          ? randomDelay(HTTP_DELAY_MIN_MS, HTTP_DELAY_MAX_MS)
+          : randomDelay(DELAY_MIN_MS, DELAY_MAX_MS);
+        await log(`Pausa de ${pause / 1000}s antes de la siguiente descarga...`, 'PAUSE');
+        await sleep(pause);
+      }
+    });
+  });
+
+  return stats;
+}
+
+// Muestra el resumen final de la ejecución
+async function printSummary(plan, stats) {
+  await log(`\nResumen:`, 'STATS');
+  await log(`   Exitosos: ${stats.success}`, 'SUCCESS');
+  await log(`   Saltados: ${stats.skipped}`, 'INFO');
+  await log(`   Errores: ${stats.errors}`, 'ERROR');
+  for (const [kind, count] of Object.entries(stats.failures)) {
+    if (count > 0) {
+      await log(`      ${FAILURE_LABELS[kind]}: ${count}`, 'ERROR');
+    }
+  }
+  await log(`   Archivos en: ${OUTPUT_DIR}`, 'INFO');
+  await log(`   Registro de trabajos: ${LEDGER_FILE}`, 'INFO');
+  if (plan.mode === 'dates') {
+    await log(`   Fechas procesadas: ${plan.dates.join(', ')}`, 'INFO');
+  }
+}
+
+export async function run(args) {
+  let plan;
+  try {
+    plan = buildJobs(args);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  await fs.mkdir(path.join(OUTPUT_DIR, 'temp'), { recursive: true });
+
+  // Registrar los trabajos (o recuperarlos del registro al reanudar)
+  const ledger = await loadLedger();
+  if (plan.mode === 'resume') {
+    plan.jobs = unfinishedJobs(ledger);
+  } else if (plan.mode === 'retry-failed') {
+    plan.jobs = failedJobs(ledger);
+    enqueueJobs(ledger, plan.jobs);
+  } else {
+    enqueueJobs(ledger, plan.jobs);
+  }
+
+  await saveLedger(ledger);
+
+  if (plan.jobs.length === 0) {
+    await log(`No hay trabajos que procesar en ${LEDGER_FILE}`, 'INFO');
+    return;
+  }
+
+  const charts = [...new Set(plan.jobs.map(job => chartId(job.chart)))].join(', ');
+  await log(`Iniciando scraping de ${charts} (modo ${plan.mode}) con ${plan.jobs.length} descarga(s)`, 'START');
+  await log(`Modo de verificación: ${SKIP_IF_EXISTS && !plan.force ? 'ACTIVADO (saltará fechas ya scrapeadas)' : 'DESACTIVADO (descargará todo)'}`, 'INFO');
+
+  const browser = plan.browser.connect
+    ? await connectBrowser(plan.browser.connect)
+    : await launchBrowser({ headless: plan.browser.headless, userDataDir: plan.browser.profile });
+
+  let contexts = [];
+  try {
+    const session = plan.http ? createHttpSession() : null;
+    // Sin ventana no se puede iniciar sesión a mano: falla en cuanto se detecta que no hay sesión
+    await ensureAuthenticated(browser, {
+      timeoutSeconds: plan.browser.headless ? 0 : plan.authTimeout,
+      // El Chrome conectado ya tiene su propia sesión: no se le cargan cookies
+      cookiesFile: plan.browser.connect ? null : plan.browser.cookies,
+      session
+    });
+    contexts = await createWorkerContexts(browser, plan.concurrency);
+    const stats = await runJobs(contexts, plan, ledger, session);
+    await printSummary(plan, stats);
+  } finally {
+    // Cerrar los contextos creados para los workers (el primero es el del navegador)
+    for (const context of contexts.slice(1)) {
+      await context.close();
+    }
+
+    // Un Chrome conectado es del usuario: solo nos desconectamos
+    if (plan.browser.connect) {
+      await browser.disconnect();
+    } else {
+      await browser.close();
+    }
+  }
+
+  await log('Proceso completado', 'SUCCESS');
+}
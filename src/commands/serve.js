@@ -0,0 +1,60 @@
+import { parseArgs } from 'util';
+import { OUTPUT_DIR, API_HOST, API_PORT, config } from '../config.js';
+import { STORAGE_DRIVERS } from '../storage/index.js';
+import { checkSourceOptions, openDataSource } from '../sources.js';
+import { createApiServer } from '../api/server.js';
+
+export const USAGE = `Uso: spotify-charts serve [opciones]
+
+Arranca una API REST local de solo lectura sobre los charts guardados:
+  GET /charts/:pais/:fecha                 Chart de un país en una fecha
+  GET /charts/:pais/latest                 Último chart guardado de un país
+  GET /tracks/:uri/history                 Historial de una canción (?country=es,mx&from=&to=)
+  GET /artists/:nombre/charts              Charts en los que aparece un artista
+  GET /openapi.json                        Descripción OpenAPI de la API
+Las listas se paginan con ?limit=&offset= y las respuestas llevan ETag.
+
+Opciones:
+  --host <host>                  Dirección en la que escuchar (por defecto ${API_HOST})
+  --port <puerto>                Puerto (por defecto ${API_PORT})
+  --source <origen>              json (archivos de ${OUTPUT_DIR}) o db (base de datos) (por defecto json)
+  --storage <driver>             Almacenamiento a leer con --source db: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})`;
+
+export async function run(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      host: { type: 'string', default: API_HOST },
+      port: { type: 'string', default: String(API_PORT) },
+      source: { type: 'string', default: 'json' },
+      storage: { type: 'string' }
+    }
+  });
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`El puerto "${values.port}" no es válido`);
+  }
+  const { source: sourceName, driver } = checkSourceOptions(values);
+
+  const source = await openDataSource(sourceName, driver);
+  const server = createApiServer(source, {
+    onRequest: (request, status, durationMs) => console.log(`${request.method} ${request.url} ${status} ${durationMs} ms`)
+  });
+
+  server.listen(port, values.host, () => {
+    const address = server.address();
+    console.log(`🚀 API de charts escuchando en http://${values.host}:${address.port} (origen: ${source.name})`);
+    console.log(`📄 Descripción OpenAPI: http://${values.host}:${address.port}/openapi.json`);
+  });
+
+  // Al parar con Ctrl+C se cierran el servidor y la conexión a la base de datos
+  const shutdown = () => {
+    console.log('⏸️  Deteniendo la API...');
+    server.close(() => source.close().finally(() => process.exit(0)));
+    server.closeAllConnections();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
@@ -0,0 +1,155 @@
+import { parseArgs } from 'util';
+import { OUTPUT_DIR, config } from '../config.js';
+import { validateDate } from '../utils.js';
+import { CHART_TYPES, DEFAULT_CHART, validateChart } from '../charts.js';
+import { STORAGE_DRIVERS } from '../storage/index.js';
+import { checkSourceOptions, openDataSource } from '../sources.js';
+import { SPREAD_CHARTS, computeSpread, shiftDate } from '../spread.js';
+import { formatNumber, printTable, truncate } from '../table.js';
+
+const FORMATS = ['table', 'json'];
+const DEFAULT_DAYS = 30;
+const DEFAULT_TOP = 20;
+
+export const USAGE = `Uso: spotify-charts spread [uri] [opciones]
+
+Muestra cómo se extiende cada canción entre países: en cuántos países está cada día, su rank mediano,
+el primer país en el que apareció y el orden en que entró en los demás (el chart global no cuenta).
+Con una URI (o solo el identificador de la canción) muestra el detalle de esa canción; sin ella, las
+canciones presentes en más países.
+
+Opciones:
+  --from YYYY-MM-DD              Primera fecha analizada (por defecto ${DEFAULT_DAYS} días antes de --to)
+  --to YYYY-MM-DD                Última fecha analizada (por defecto la última guardada)
+  --countries es,mx,...          Solo estos países
+  --chart <tipo>                 ${SPREAD_CHARTS.join(' o ')} (por defecto ${DEFAULT_CHART.type})
+  --period <periodo>             daily o weekly (por defecto daily)
+  --top <n>                      Canciones a mostrar sin URI, 0 = todas (por defecto ${DEFAULT_TOP})
+  --format <formato>             table (tablas legibles) o json (por defecto table)
+  --source <origen>              json (archivos de ${OUTPUT_DIR}) o db (base de datos) (por defecto json)
+  --storage <driver>             Almacenamiento a leer con --source db: ${STORAGE_DRIVERS.join(', ')}
+                                 (por defecto ${config.storage.driver})`;
+
+// Función para convertir una lista separada por comas en array
+function splitList(value) {
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Función para leer una fecha opcional
+function dateOption(values, name) {
+  if (values[name] !== undefined && !validateDate(values[name])) {
+    throw new Error(`La fecha de --${name} "${values[name]}" no es válida. Usa el formato YYYY-MM-DD`);
+  }
+  return values[name];
+}
+
+// Imprime el detalle de una canción
+function printTrack(track) {
+  console.log(`🌍 ${track.track_name} - ${track.artist_names} (${track.uri})`);
+  console.log(`   Países: ${track.markets}. Primer país: ${track.first_country.toUpperCase()} (${track.first_date})`);
+
+  printTable('📅 Por día', [
+    { label: 'Fecha', value: day => day.date },
+    { label: 'Países', value: day => day.countries, right: true },
+    { label: 'Rank mediano', value: day => formatNumber(day.median_rank), right: true },
+    { label: 'Mejor', value: day => day.best_rank, right: true },
+    { label: 'Entra en', value: day => day.new_countries.join(', ') }
+  ], track.days);
+
+  printTable('🧭 Orden de entrada', [
+    { label: '#', value: entry => track.entries.indexOf(entry) + 1, right: true },
+    { label: 'País', value: entry => entry.country },
+    { label: 'Fecha', value: entry => entry.date },
+    { label: 'Rank', value: entry => entry.rank, right: true },
+    { label: 'Debut', value: entry => entry.debut === null ? '?' : entry.debut ? 'sí' : 'no' }
+  ], track.entries);
+}
+
+// Imprime las canciones presentes en más países
+function printTracks(tracks, { from, to }) {
+  printTable(`🌍 Canciones en más países (${from} → ${to})`, [
+    { label: 'Países', value: track => track.markets, right: true },
+    { label: 'Canción', value: track => truncate(track.track_name) },
+    { label: 'Artistas', value: track => truncate(track.artist_names, 30) },
+    { label: 'Primer país', value: track => `${track.first_country} (${track.first_date})` },
+    { label: 'Último día', value: track => track.days.at(-1).date === to ? track.days.at(-1).countries : 0, right: true }
+  ], tracks);
+}
+
+export async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      countries: { type: 'string' },
+      chart: { type: 'string', default: DEFAULT_CHART.type },
+      period: { type: 'string', default: 'daily' },
+      top: { type: 'string', default: String(DEFAULT_TOP) },
+      format: { type: 'string', default: 'table' },
+      source: { type: 'string', default: 'json' },
+      storage: { type: 'string' }
+    }
+  });
+
+  if (positionals.length > 1) {
+    throw new Error('Indica como mucho una URI');
+  }
+  if (!SPREAD_CHARTS.includes(values.chart)) {
+    throw new Error(`El chart "${values.chart}" no es un chart de canciones por país (usa ${SPREAD_CHARTS.join(' o ')})`);
+  }
+  const chart = validateChart(values.chart, values.period);
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 0) {
+    throw new Error(`El valor de --top "${values.top}" no es válido`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`El valor de --format "${values.format}" no es válido (usa ${FORMATS.join(', ')})`);
+  }
+  const { source: sourceName, driver } = checkSourceOptions(values);
+  const uri = positionals[0] && (positionals[0].startsWith('spotify:') ? positionals[0] : `${CHART_TYPES.regional.uriPrefix}${positionals[0]}`);
+
+  const source = await openDataSource(sourceName, driver);
+  try {
+    const to = dateOption(values, 'to') || await source.latestDate({ chart });
+    if (!to) {
+      throw new Error(`No hay charts ${chart.type} ${chart.period} guardados en ${source.name}`);
+    }
+    const from = dateOption(values, 'from') || shiftDate(to, -(DEFAULT_DAYS - 1));
+    if (from > to) {
+      throw new Error(`La fecha de inicio ${from} es posterior a la fecha de fin ${to}`);
+    }
+
+    const filters = {
+      chart: chart.type,
+      period: chart.period,
+      from,
+      to,
+      countries: values.countries ? splitList(values.countries) : undefined
+    };
+    const rows = uri ? await source.trackHistory(uri, filters) : await source.rows(filters);
+    const spread = computeSpread(rows);
+
+    if (uri) {
+      if (spread.length === 0) {
+        throw new Error(`${uri} no aparece en ningún chart ${chart.type} ${chart.period} de un país entre ${from} y ${to}`);
+      }
+      if (values.format === 'json') {
+        console.log(JSON.stringify(spread[0], null, 2));
+      } else {
+        printTrack(spread[0]);
+      }
+      return;
+    }
+
+    const tracks = top > 0 ? spread.slice(0, top) : spread;
+    if (values.format === 'json') {
+      console.log(JSON.stringify({ chart: chart.type, period: chart.period, from, to, tracks }, null, 2));
+    } else {
+      printTracks(tracks, { from, to });
+    }
+  } finally {
+    await source.close();
+  }
+}
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import path from 'path';
+import { parseEnv } from 'util';
+
+// Configuración por capas, de menor a mayor prioridad:
+//   1. Valores por defecto (OPTIONS)
+//   2. Archivo de configuración JSON (spotify-charts.config.json o el de SPOTIFY_CHARTS_CONFIG)
+//   3. Variables de entorno (y las del archivo .env, que no pisan las ya definidas)
+//   4. Opciones de la línea de comandos de cada comando (--concurrency, --headless...)
+
+export const CONFIG_FILE = 'spotify-charts.config.json';
+export const ENV_FILE = '.env';
+
+// Lista de países a descargar por defecto
+const DEFAULT_COUNTRIES = [
+  'global', 'ar', 'au', 'at', 'by', 'be', 'bo', 'br', 'bg', 'ca', 'cl', 'co', 'cr', 'cz', 'dk', 'do',
+  'ec', 'eg', 'sv', 'ee', 'fi', 'fr', 'de', 'gr', 'gt', 'hn', 'hk', 'hu', 'is', 'in', 'id', 'ie', 'il',
+  'it', 'jp', 'kz', 'lv', 'lt', 'lu', 'my', 'mx', 'ma', 'nl', 'nz', 'ni', 'ng', 'no', 'pk', 'pa', 'py',
+  'pe', 'ph', 'pl', 'pt', 'ro', 'sa', 'sg', 'sk', 'za', 'kr', 'es', 'se', 'ch', 'tw', 'th', 'tr', 'ae',
+  'ua', 'gb', 'uy', 'us', 've', 'vn'
+];
+
+// Opciones admitidas: clave (con punto para las anidadas), tipo, variable de entorno y valor por defecto
+// Las marcadas como secret no se muestran en "spotify-charts config print"
+// Las marcadas como path son rutas: se resuelven respecto al directorio del archivo de configuración
+// si vienen de él y respecto al directorio actual si no
+const OPTIONS = [
+  { key: 'outputDir', type: 'string', env: 'SPOTIFY_CHARTS_OUTPUT_DIR', default: './data', path: true },
+  { key: 'baseUrl', type: 'string', env: 'SPOTIFY_CHARTS_BASE_URL', default: 'https://charts.spotify.com/charts/view' },
+  // Verificar si ya existe la fecha antes de scrapear (se puede desactivar con --force)
+  { key: 'skipIfExists', type: 'boolean', env: 'SPOTIFY_CHARTS_SKIP_IF_EXISTS', default: true },
+  { key: 'headless', type: 'boolean', env: 'SPOTIFY_CHARTS_HEADLESS', default: false },
+  // Tiempo máximo para iniciar sesión a mano cuando no hay sesión guardada
+  { key: 'authTimeoutSeconds', type: 'integer', env: 'SPOTIFY_CHARTS_AUTH_TIMEOUT_SECONDS', default: 300 },
+  { key: 'authPollIntervalMs', type: 'integer', env: 'SPOTIFY_CHARTS_AUTH_POLL_INTERVAL_MS', default: 2000, min: 100 },
+  // Perfil de Chrome y cookies que conservan la sesión de Spotify (por defecto dentro de outputDir)
+  { key: 'profileDir', type: 'string', env: 'SPOTIFY_CHARTS_PROFILE_DIR', default: null, path: true },
+  { key: 'cookiesFile', type: 'string', env: 'SPOTIFY_CHARTS_COOKIES_FILE', default: null, path: true },
+  // Chrome abierto con "spotify-charts chrome" (--remote-debugging-port) al que conecta --connect
+  { key: 'remoteDebuggingAddress', type: 'string', env: 'SPOTIFY_CHARTS_REMOTE_DEBUGGING_ADDRESS', default: 'localhost:9222' },
+  // Tiempo máximo para que termine la descarga de un CSV
+  { key: 'downloadTimeoutMs', type: 'integer', env: 'SPOTIFY_CHARTS_DOWNLOAD_TIMEOUT_MS', default: 60000, min: 1000 },
+  // Pausas aleatorias: entre descargas con navegador, al abrir cada chart y entre descargas HTTP
+  { key: 'delayMinMs', type: 'integer', env: 'SPOTIFY_CHARTS_DELAY_MIN_MS', default: 1000 },
+  { key: 'delayMaxMs', type: 'integer', env: 'SPOTIFY_CHARTS_DELAY_MAX_MS', default: 3000 },
+  { key: 'pageDelayMinMs', type: 'integer', env: 'SPOTIFY_CHARTS_PAGE_DELAY_MIN_MS', default: 2000 },
+  { key: 'pageDelayMaxMs', type: 'integer', env: 'SPOTIFY_CHARTS_PAGE_DELAY_MAX_MS', default: 5000 },
+  { key: 'httpDelayMinMs', type: 'integer', env: 'SPOTIFY_CHARTS_HTTP_DELAY_MIN_MS', default: 300 },
+  { key: 'httpDelayMaxMs', type: 'integer', env: 'SPOTIFY_CHARTS_HTTP_DELAY_MAX_MS', default: 1000 },
+  // Descargas en paralelo y límite global de descargas por minuto (0 = sin límite)
+  { key: 'concurrency', type: 'integer', env: 'SPOTIFY_CHARTS_CONCURRENCY', default: 1, min: 1 },
+  { key: 'rateLimitPerMinute', type: 'integer', env: 'SPOTIFY_CHARTS_RATE_LIMIT_PER_MINUTE', default: 60 },
+  // Reintentos de descargas con fallos transitorios (backoff exponencial con jitter)
+  { key: 'retryAttempts', type: 'integer', env: 'SPOTIFY_CHARTS_RETRY_ATTEMPTS', default: 3 },
+  { key: 'retryBaseDelayMs', type: 'integer', env: 'SPOTIFY_CHARTS_RETRY_BASE_DELAY_MS', default: 5000 },
+  { key: 'retryMaxDelayMs', type: 'integer', env: 'SPOTIFY_CHARTS_RETRY_MAX_DELAY_MS', default: 60000 },
+  { key: 'countries', type: 'list', env: 'SPOTIFY_CHARTS_COUNTRIES', default: DEFAULT_COUNTRIES },
+  // Archivos que loadToDatabase.js carga a la vez
+  { key: 'loadConcurrency', type: 'integer', env: 'SPOTIFY_CHARTS_LOAD_CONCURRENCY', default: 4, min: 1 },
+  // Dónde carga loadToDatabase.js: SQL Server (db.*), un archivo SQLite o PostgreSQL
+  { key: 'storage.driver', type: 'string', env: 'SPOTIFY_CHARTS_STORAGE', default: 'mssql', values: ['mssql', 'sqlite', 'postgres'] },
+  { key: 'storage.sqliteFile', type: 'string', env: 'SPOTIFY_CHARTS_SQLITE_FILE', default: null, path: true },
+  { key: 'storage.postgresUrl', type: 'string', env: 'POSTGRES_URL', default: null, secret: true },
+  // Dirección de la API REST local ("spotify-charts serve")
+  { key: 'api.host', type: 'string', env: 'SPOTIFY_CHARTS_API_HOST', default: '127.0.0.1' },
+  { key: 'api.port', type: 'integer', env: 'SPOTIFY_CHARTS_API_PORT', default: 3000, min: 1 },
+  // Modo daemon ("spotify-charts daemon"): expresión cron (hora local) y cada cuánto y hasta cuándo
+  // se vuelve a comprobar si Spotify ha publicado el chart del día
+  { key: 'daemon.schedule', type: 'string', env: 'SPOTIFY_CHARTS_DAEMON_SCHEDULE', default: '0 9 * * *' },
+  { key: 'daemon.pollIntervalMinutes', type: 'integer', env: 'SPOTIFY_CHARTS_DAEMON_POLL_INTERVAL_MINUTES', default: 30, min: 1 },
+  { key: 'daemon.pollTimeoutMinutes', type: 'integer', env: 'SPOTIFY_CHARTS_DAEMON_POLL_TIMEOUT_MINUTES', default: 720, min: 0 },
+  // Conexión a SQL Server (las credenciales van en .env, ver .env.example)
+  { key: 'db.server', type: 'string', env: 'DB_SERVER', default: 'localhost' },
+  { key: 'db.port', type: 'integer', env: 'DB_PORT', default: 1433, min: 1 },
+  { key: 'db.database', type: 'string', env: 'DB_NAME', default: 'spotify_charts' },
+  { key: 'db.user', type: 'string', env: 'DB_USER', default: 'sa' },
+  { key: 'db.password', type: 'string', env: 'DB_PASSWORD', default: null, secret: true },
+  { key: 'db.encrypt', type: 'boolean', env: 'DB_ENCRYPT', default: false },
+  { key: 'db.trustServerCertificate', type: 'boolean', env: 'DB_TRUST_SERVER_CERTIFICATE', default: true }
+];
+
+const REDACTED = '********';
+
+// Función para leer una clave con punto (p.ej. "db.user") de un objeto
+function getKey(object, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+// Función para escribir una clave con punto en un objeto
+function setKey(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((current, part) => (current[part] ??= {}), object);
+  target[last] = value;
+}
+
+// Función para convertir y validar el valor de una opción
+// Los valores de las variables de entorno llegan como texto
+function coerceValue(option, value, source) {
+  const fail = expected => new Error(`${option.key} (${source}) debe ser ${expected}, recibido "${value}"`);
+
+  if (value === null) {
+    return null;
+  }
+
+  switch (option.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw fail('un texto no vacío');
+      }
+      if (option.values && !option.values.includes(value)) {
+        throw fail(`uno de: ${option.values.join(', ')}`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (['true', '1', 'yes', 'si', 'sí'].includes(String(value).toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(String(value).toLowerCase())) {
+        return false;
+      }
+      throw fail('true o false');
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(value);
+      const min = option.min ?? 0;
+      if (value === '' || !Number.isInteger(number) || number < min) {
+        throw fail(`un número entero mayor o igual que ${min}`);
+      }
+      return number;
+    }
+    case 'list': {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      const items = list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+      if (items.length === 0) {
+        throw fail('una lista no vacía');
+      }
+      return items;
+    }
+    default:
+      throw new Error(`Tipo de opción desconocido: ${option.type}`);
+  }
+}
+
+// Función para comprobar que el archivo de configuración solo trae opciones conocidas
+function checkUnknownKeys(object, file, prefix = '') {
+  for (const [name, value] of Object.entries(object)) {
+    const key = `${prefix}${name}`;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      checkUnknownKeys(value, file, `${key}.`);
+    } else if (!OPTIONS.some(option => option.key === key)) {
+      throw new Error(`Opción desconocida "${key}" en ${file}`);
+    }
+  }
+}
+
+// Función para leer el archivo de configuración JSON (ninguno si no existe el de por defecto)
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`No existe el archivo de configuración ${file}`);
+    }
+    return {};
+  }
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`No se pudo leer el archivo de configuración ${file}: ${error.message}`);
+  }
+
+  checkUnknownKeys(content, file);
+  return content;
+}
+
+// Función para leer el archivo .env (vacío si no existe)
+function readEnvFile(file) {
+  return fs.existsSync(file) ? parseEnv(fs.readFileSync(file, 'utf-8')) : {};
+}
+
+// Función para cargar la configuración de todas las capas
+// Devuelve { values, sources } con el origen de cada valor
+export function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+  const mergedEnv = { ...readEnvFile(path.join(cwd, ENV_FILE)), ...env };
+  const configFile = mergedEnv.SPOTIFY_CHARTS_CONFIG
+    ? path.resolve(cwd, mergedEnv.SPOTIFY_CHARTS_CONFIG)
+    : path.join(cwd, CONFIG_FILE);
+  const fileValues = readConfigFile(configFile, Boolean(mergedEnv.SPOTIFY_CHARTS_CONFIG));
+
+  const values = {};
+  const sources = {};
+
+  for (const option of OPTIONS) {
+    let value = option.default;
+    let source = 'defecto';
+    let baseDir = cwd;
+
+    const fromFile = getKey(fileValues, option.key);
+    if (fromFile !== undefined) {
+      value = coerceValue(option, fromFile, path.basename(configFile));
+      source = path.basename(configFile);
+      baseDir = path.dirname(configFile);
+    }
+
+    if (mergedEnv[option.env] !== undefined) {
+      value = coerceValue(option, mergedEnv[option.env], option.env);
+      source = option.env in env ? `env ${option.env}` : `${ENV_FILE} ${option.env}`;
+      baseDir = cwd;
+    }
+
+    if (option.path && value !== null) {
+      value = path.resolve(baseDir, value);
+    }
+
+    setKey(values, option.key, value);
+    sources[option.key] = source;
+  }
+
+  // Rutas que dependen de outputDir
+  values.profileDir ??= path.join(values.outputDir, 'chrome-profile');
+  values.cookiesFile ??= path.join(values.outputDir, 'cookies.json');
+  values.storage.sqliteFile ??= path.join(values.outputDir, 'spotify_charts.sqlite');
+
+  validateConfig(values);
+  return { values, sources };
+}
+
+// Comprobaciones entre opciones
+function validateConfig(values) {
+  for (const [min, max] of [['delayMinMs', 'delayMaxMs'], ['pageDelayMinMs', 'pageDelayMaxMs'], ['httpDelayMinMs', 'httpDelayMaxMs'], ['retryBaseDelayMs', 'retryMaxDelayMs']]) {
+    if (values[min] > values[max]) {
+      throw new Error(`${min} (${values[min]}) no puede ser mayor que ${max} (${values[max]})`);
+    }
+  }
+
+  if (!/^[^:\s]+:\d+$/.test(values.remoteDebuggingAddress)) {
+    throw new Error(`remoteDebuggingAddress debe tener el formato host:puerto, recibido "${values.remoteDebuggingAddress}"`);
+  }
+}
+
+// Copia de la configuración con los secretos ocultos
+export function redactConfig(values) {
+  const copy = structuredClone(values);
+  for (const option of OPTIONS.filter(o => o.secret)) {
+    if (getKey(copy, option.key) !== null) {
+      setKey(copy, option.key, REDACTED);
+    }
+  }
+  return copy;
+}
+
+// Configuración de esta ejecución; si no es válida se termina con el error
+function loadConfigOrExit() {
+  try {
+    return loadConfig();
+  } catch (error) {
+    console.error(`❌ Error de configuración: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const loaded = loadConfigOrExit();
+
+export const config = loaded.values;
+export const configSources = loaded.sources;
+
+export const OUTPUT_DIR = config.outputDir;
+export const BASE_URL = config.baseUrl;
+export const LOG_FILE = path.join(OUTPUT_DIR, 'scraper.log');
+
+export const SKIP_IF_EXISTS = config.skipIfExists;
+export const HEADLESS = config.headless;
+
+export const AUTH_TIMEOUT_SECONDS = config.authTimeoutSeconds;
+export const AUTH_POLL_INTERVAL_MS = config.authPollIntervalMs;
+
+export const PROFILE_DIR = config.profileDir;
+export const COOKIES_FILE = config.cookiesFile;
+
+export const REMOTE_DEBUGGING_ADDRESS = config.remoteDebuggingAddress;
+
+export const DOWNLOAD_TIMEOUT_MS = config.downloadTimeoutMs;
+
+export const DELAY_MIN_MS = config.delayMinMs;
+export const DELAY_MAX_MS = config.delayMaxMs;
+export const PAGE_DELAY_MIN_MS = config.pageDelayMinMs;
+export const PAGE_DELAY_MAX_MS = config.pageDelayMaxMs;
+export const HTTP_DELAY_MIN_MS = config.httpDelayMinMs;
+export const HTTP_DELAY_MAX_MS = config.httpDelayMaxMs;
+
+export const CONCURRENCY = config.concurrency;
+export const RATE_LIMIT_PER_MINUTE = config.rateLimitPerMinute;
+
+export const RETRY_ATTEMPTS = config.retryAttempts;
+export const RETRY_BASE_DELAY_MS = config.retryBaseDelayMs;
+export const RETRY_MAX_DELAY_MS = config.retryMaxDelayMs;
+
+export const COUNTRIES = config.countries;
+
+export const LOAD_CONCURRENCY = config.loadConcurrency;
+
+export const API_HOST = config.api.host;
+export const API_PORT = config.api.port;
+
+export const DAEMON_SCHEDULE = config.daemon.schedule;
+export const DAEMON_POLL_INTERVAL_MINUTES = config.daemon.pollIntervalMinutes;
+export const DAEMON_POLL_TIMEOUT_MINUTES = config.daemon.pollTimeoutMinutes;
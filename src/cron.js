@@ -0,0 +1,123 @@
+// Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana) en hora local
+// Cada campo admite *, valores, rangos (1-5), listas (1,15) y pasos (*/15, 0-30/10). El domingo es 0 o 7.
+// Como en cron, si se restringen el día del mes y el de la semana basta con que se cumpla uno de los dos
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'día del mes', min: 1, max: 31 },
+  { name: 'mes', min: 1, max: 12 },
+  { name: 'día de la semana', min: 0, max: 7 }
+];
+
+// Número máximo de días que se buscan hacia delante (p.ej. un 29 de febrero)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+// Función para leer un campo de la expresión como conjunto de valores
+function parseField(text, field) {
+  const values = new Set();
+  const fail = () => new Error(`El ${field.name} "${text}" de la expresión cron no es válido`);
+  const toNumber = value => {
+    if (!/^\d+$/.test(value)) {
+      throw fail();
+    }
+    const number = Number(value);
+    if (number < field.min || number > field.max) {
+      throw fail();
+    }
+    return number;
+  };
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || part.split('/').length > 2) {
+      throw fail();
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) {
+        throw fail();
+      }
+      [from, to] = bounds.map(toNumber);
+    } else {
+      from = toNumber(range);
+      // "5/15" equivale a "5-max/15"
+      to = stepText === undefined ? from : field.max;
+    }
+    if (from > to) {
+      throw fail();
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Función para validar y leer una expresión cron
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`La expresión cron "${expression}" debe tener 5 campos: minuto hora día-del-mes mes día-de-la-semana`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: parts.join(' '),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+// Función para comprobar si un día cumple el día del mes, el mes y el día de la semana
+function matchesDay(cron, date) {
+  if (!cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+// Próxima fecha (posterior a after, al minuto) en la que se cumple la expresión
+export function nextRun(cron, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(after);
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (date <= limit) {
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`La expresión cron "${cron.expression}" no se cumple nunca`);
+}
@@ -0,0 +1,203 @@
+import { FAILURE_KINDS, ScrapeError } from './errors.js';
+
+// Parser de CSV según RFC 4180
+// Admite campos entre comillas con comas, saltos de línea y comillas escapadas (""),
+// finales de línea \r\n o \n, y texto que llega por trozos (streaming)
+
+// Error de formato del CSV: Spotify ha cambiado las columnas o el archivo está corrupto
+function formatError(message) {
+  return new ScrapeError(`Formato de CSV inesperado: ${message}`, FAILURE_KINDS.LAYOUT_CHANGED);
+}
+
+// Crea un tokenizador incremental: write(trozo) devuelve los registros completos hasta ese
+// momento y end() devuelve el último registro pendiente
+export function createCsvTokenizer() {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let quoteInQuotes = false; // Se leyó una " dentro de un campo entrecomillado
+  let afterCR = false;
+  let fieldStart = true;
+  let started = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldStart = true;
+  };
+
+  const endRecord = records => {
+    endField();
+    // Las líneas vacías no son registros
+    if (!(record.length === 1 && record[0] === '')) {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  return {
+    write(chunk) {
+      const records = [];
+
+      for (let i = 0; i < chunk.length; i++) {
+        const char = chunk[i];
+
+        // Quitar el BOM inicial si lo hay
+        if (!started) {
+          started = true;
+          if (char === '\uFEFF') {
+            continue;
+          }
+        }
+
+        // \r\n cuenta como un solo fin de línea aunque llegue en dos trozos
+        if (afterCR) {
+          afterCR = false;
+          if (char === '\n') {
+            continue;
+          }
+        }
+
+        if (quoteInQuotes) {
+          quoteInQuotes = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          // La comilla anterior cerraba el campo
+          inQuotes = false;
+        }
+
+        if (inQuotes) {
+          if (char === '"') {
+            quoteInQuotes = true;
+          } else {
+            field += char;
+          }
+          continue;
+        }
+
+        if (char === '"' && fieldStart) {
+          inQuotes = true;
+          fieldStart = false;
+        } else if (char === ',') {
+          endField();
+        } else if (char === '\r' || char === '\n') {
+          afterCR = char === '\r';
+          endRecord(records);
+        } else {
+          field += char;
+          fieldStart = false;
+        }
+      }
+
+      return records;
+    },
+
+    end() {
+      if (inQuotes && !quoteInQuotes) {
+        throw formatError('el archivo termina dentro de un campo entre comillas');
+      }
+      const records = [];
+      if (field !== '' || record.length > 0) {
+        endRecord(records);
+      }
+      return records;
+    }
+  };
+}
+
+// Comprueba que la cabecera tiene exactamente las columnas esperadas (en cualquier orden)
+function validateHeaders(headers, columns) {
+  const missing = columns.filter(column => !headers.includes(column));
+  const unexpected = headers.filter(header => !columns.includes(header));
+
+  if (missing.length > 0 || unexpected.length > 0) {
+    const details = [];
+    if (missing.length > 0) {
+      details.push(`faltan columnas: ${missing.join(', ')}`);
+    }
+    if (unexpected.length > 0) {
+      details.push(`columnas desconocidas: ${unexpected.join(', ')}`);
+    }
+    throw formatError(`fila 1 (cabecera): ${details.join('; ')}`);
+  }
+}
+
+// Crea el conversor de registros a objetos { columna: valor } validando la cabecera
+// y que cada fila tenga tantos campos como columnas
+function createRowMapper(columns) {
+  let headers = null;
+  let rowNumber = 0;
+
+  return record => {
+    rowNumber++;
+
+    if (!headers) {
+      headers = record.map(header => header.trim());
+      if (columns) {
+        validateHeaders(headers, columns);
+      }
+      return null;
+    }
+
+    if (record.length !== headers.length) {
+      throw formatError(`fila ${rowNumber}: se esperaban ${headers.length} campos y hay ${record.length}`);
+    }
+
+    return headers.reduce((acc, header, index) => {
+      acc[header] = record[index];
+      return acc;
+    }, {});
+  };
+}
+
+// Parsea un CSV completo y devuelve las filas como objetos
+// Si se indican columns, la cabecera debe coincidir con ellas
+export function parseCSV(csv, { columns = null } = {}) {
+  const tokenizer = createCsvTokenizer();
+  const mapRow = createRowMapper(columns);
+  const records = [...tokenizer.write(csv), ...tokenizer.end()];
+
+  if (records.length === 0) {
+    throw formatError('el archivo está vacío');
+  }
+
+  return records.map(mapRow).filter(Boolean);
+}
+
+// Parsea un CSV que llega por trozos (p.ej. un fs.createReadStream con encoding 'utf-8')
+// y va devolviendo las filas como objetos
+export async function* parseCSVStream(stream, { columns = null } = {}) {
+  const tokenizer = createCsvTokenizer();
+  const mapRow = createRowMapper(columns);
+
+  for await (const chunk of stream) {
+    for (const record of tokenizer.write(String(chunk))) {
+      const row = mapRow(record);
+      if (row) {
+        yield row;
+      }
+    }
+  }
+
+  for (const record of tokenizer.end()) {
+    const row = mapRow(record);
+    if (row) {
+      yield row;
+    }
+  }
+}
+
+// Convierte una lista de valores en una línea CSV (RFC 4180), con \n al final
+// Los campos con comas, comillas o saltos de línea van entre comillas; null y undefined quedan vacíos
+export function formatCSVRecord(values) {
+  const fields = values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${fields.join(',')}\n`;
+}
@@ -0,0 +1,179 @@
+import path from 'path';
+import { parseChartFileName } from './charts.js';
+import { listChartFiles, matchesFilters, readChartFileRows } from './export.js';
+
+// Comparación de un chart entre dos fechas: entradas nuevas, reentradas, salidas, subidas, bajadas
+// y diferencia de streams por canción. También contrasta el movimiento calculado con el previous_rank
+// que publica Spotify
+
+export const DEFAULT_TOP = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para leer un chart a partir de la ruta de su JSON (también .json.gz)
+// Devuelve { chart, country, date, rows } con las filas de la exportación
+export async function readChartFile(filePath) {
+  const parsed = parseChartFileName(path.basename(filePath).replace(/\.gz$/, ''));
+  if (!parsed) {
+    throw new Error(`El nombre de ${filePath} no es el de un chart (spotify_<país>_<periodo>_<fecha>.json)`);
+  }
+
+  const rows = await readChartFileRows({ ...parsed, filePath });
+  return { ...parsed, date: rows[0]?.date || parsed.date, rows };
+}
+
+// Función para buscar el chart de un país y fecha en data/ (también entre los archivados)
+export async function findChart(dataDir, { chart, country, date }) {
+  const filters = { chart: chart.type, period: chart.period, countries: [country], from: date, to: date };
+  const [entry] = (await listChartFiles(dataDir)).filter(item => matchesFilters(item, filters));
+  if (!entry) {
+    throw new Error(`No hay chart ${chart.type} ${chart.period} de "${country}" en ${date} dentro de ${dataDir}`);
+  }
+  return { ...entry, rows: await readChartFileRows(entry) };
+}
+
+// Clave de una fila: la URI o, si falta, el nombre y los artistas
+function rowKey(row) {
+  return row.uri || `${row.track_name}|${row.artist_names}`;
+}
+
+// Periodos de chart (días o semanas) entre dos fechas
+function periodsBetween(period, from, to) {
+  const days = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+  return period === 'weekly' ? days / 7 : days;
+}
+
+// Indica si una canción que no estaba en el primer chart ya había estado antes en el chart
+// Los días (o semanas) acumulados en el chart dicen si estuvo antes del primer chart; si faltan,
+// se mira si su mejor puesto es mejor que el actual
+function isReentry(row, period, gap) {
+  const onChart = period === 'weekly' ? row.weeks_on_chart : row.days_on_chart;
+  if (Number.isInteger(onChart)) {
+    return onChart > gap;
+  }
+  return Number.isInteger(row.peak_rank) && row.peak_rank < row.rank;
+}
+
+// Datos de la canción que se repiten en todas las listas del informe
+function trackInfo(row) {
+  return { uri: row.uri, track_name: row.track_name, artist_names: row.artist_names };
+}
+
+// Diferencia de streams entre los dos charts (null si alguno de los charts no trae streams)
+function streamDelta(before, after) {
+  if (!Number.isFinite(before.streams) || !Number.isFinite(after.streams)) {
+    return { streams_before: before.streams ?? null, streams_after: after.streams ?? null, delta: null, delta_pct: null };
+  }
+  const delta = after.streams - before.streams;
+  return {
+    streams_before: before.streams,
+    streams_after: after.streams,
+    delta,
+    delta_pct: before.streams > 0 ? Math.round((delta / before.streams) * 10000) / 100 : null
+  };
+}
+
+// Compara dos charts del mismo tipo, periodo y país ({ chart, country, date, rows })
+// Devuelve el informe con las listas completas salvo climbers y fallers, limitadas a top
+export function diffCharts(before, after, { top = DEFAULT_TOP } = {}) {
+  if (before.chart.type !== after.chart.type || before.chart.period !== after.chart.period) {
+    throw new Error(`Los charts no son del mismo tipo: ${before.chart.type} ${before.chart.period} y ${after.chart.type} ${after.chart.period}`);
+  }
+  if (before.country !== after.country) {
+    throw new Error(`Los charts no son del mismo país: ${before.country} y ${after.country}`);
+  }
+  if (before.date >= after.date) {
+    throw new Error(`La fecha del primer chart (${before.date}) debe ser anterior a la del segundo (${after.date})`);
+  }
+
+  const period = after.chart.period;
+  const gap = periodsBetween(period, before.date, after.date);
+  const beforeByKey = new Map(before.rows.map(row => [rowKey(row), row]));
+  const afterKeys = new Set(after.rows.map(rowKey));
+
+  const newEntries = [];
+  const reEntries = [];
+  const moves = [];
+
+  for (const row of after.rows) {
+    const previous = beforeByKey.get(rowKey(row));
+    if (!previous) {
+      const entry = { ...trackInfo(row), rank: row.rank, peak_rank: row.peak_rank, streams: row.streams };
+      (isReentry(row, period, gap) ? reEntries : newEntries).push(entry);
+      continue;
+    }
+    moves.push({
+      ...trackInfo(row),
+      from_rank: previous.rank,
+      to_rank: row.rank,
+      movement: previous.rank - row.rank,
+      ...streamDelta(previous, row)
+    });
+  }
+
+  const dropOuts = before.rows
+    .filter(row => !afterKeys.has(rowKey(row)))
+    .map(row => ({ ...trackInfo(row), last_rank: row.rank, streams: row.streams }));
+
+  const climbers = moves.filter(move => move.movement > 0)
+    .sort((a, b) => b.movement - a.movement || a.to_rank - b.to_rank);
+  const fallers = moves.filter(move => move.movement < 0)
+    .sort((a, b) => a.movement - b.movement || a.to_rank - b.to_rank);
+
+  const check = checkPreviousRanks(before, after, gap);
+
+  return {
+    chart: after.chart.type,
+    period,
+    country: after.country,
+    from: before.date,
+    to: after.date,
+    summary: {
+      tracks_before: before.rows.length,
+      tracks_after: after.rows.length,
+      new_entries: newEntries.length,
+      re_entries: reEntries.length,
+      drop_outs: dropOuts.length,
+      climbers: climbers.length,
+      fallers: fallers.length,
+      unchanged: moves.length - climbers.length - fallers.length,
+      previous_rank_mismatches: check.checked ? check.mismatches.length : null
+    },
+    new_entries: newEntries,
+    re_entries: reEntries,
+    drop_outs: dropOuts,
+    climbers: climbers.slice(0, top),
+    fallers: fallers.slice(0, top),
+    stream_deltas: moves.map(move => ({
+      ...trackInfo(move),
+      from_rank: move.from_rank,
+      to_rank: move.to_rank,
+      streams_before: move.streams_before,
+      streams_after: move.streams_after,
+      delta: move.delta,
+      delta_pct: move.delta_pct
+    })),
+    previous_rank_check: check
+  };
+}
+
+// Contrasta el puesto del primer chart con el previous_rank que publica Spotify en el segundo
+// Solo tiene sentido si los charts son consecutivos (un día o una semana de diferencia)
+function checkPreviousRanks(before, after, gap) {
+  if (gap !== 1) {
+    const unit = after.chart.period === 'weekly' ? 'semanas' : 'días';
+    return {
+      checked: false,
+      reason: `Los charts no son consecutivos (${gap} ${unit} de diferencia); previous_rank se refiere al chart anterior`,
+      mismatches: []
+    };
+  }
+
+  const beforeByKey = new Map(before.rows.map(row => [rowKey(row), row]));
+  const mismatches = after.rows
+    .map(row => ({ row, expected: beforeByKey.get(rowKey(row))?.rank ?? null, reported: row.previous_rank ?? null }))
+    .filter(({ expected, reported }) => expected !== reported)
+    .map(({ row, expected, reported }) => ({ ...trackInfo(row), rank: row.rank, expected, reported }));
+
+  return { checked: true, reason: null, mismatches };
+}
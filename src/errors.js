@@ -0,0 +1,51 @@
+// Clases de fallo de una descarga
+// Solo los fallos transitorios (red, timeouts) merecen reintentarse
+export const FAILURE_KINDS = {
+  TRANSIENT: 'transient',
+  AUTH: 'auth',
+  NOT_FOUND: 'not-found',
+  LAYOUT_CHANGED: 'layout-changed',
+  INVALID_DATA: 'invalid-data',
+  UNKNOWN: 'unknown'
+};
+
+// Etiquetas para el resumen final
+export const FAILURE_LABELS = {
+  [FAILURE_KINDS.TRANSIENT]: 'Transitorios (red/timeout)',
+  [FAILURE_KINDS.AUTH]: 'Autenticación',
+  [FAILURE_KINDS.NOT_FOUND]: 'Chart no encontrado',
+  [FAILURE_KINDS.LAYOUT_CHANGED]: 'Cambio de diseño',
+  [FAILURE_KINDS.INVALID_DATA]: 'Datos inválidos (cuarentena)',
+  [FAILURE_KINDS.UNKNOWN]: 'Otros'
+};
+
+// Error de scraping con su clase de fallo ya determinada
+export class ScrapeError extends Error {
+  constructor(message, kind) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.kind = kind;
+  }
+}
+
+// Mensajes de red de Chrome/Node que indican un fallo transitorio
+const TRANSIENT_PATTERNS = [
+  /net::ERR_/,
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/,
+  /Navigation timeout/i,
+  /Target closed|Protocol error/
+];
+
+// Función para clasificar cualquier error producido durante una descarga
+export function classifyError(error) {
+  if (error instanceof ScrapeError) {
+    return error.kind;
+  }
+  if (error.name === 'TimeoutError') {
+    return FAILURE_KINDS.TRANSIENT;
+  }
+  if (TRANSIENT_PATTERNS.some(pattern => pattern.test(error.message))) {
+    return FAILURE_KINDS.TRANSIENT;
+  }
+  return FAILURE_KINDS.UNKNOWN;
+}
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { promisify } from 'util';
+import { parseChartFileName } from './charts.js';
+import { formatCSVRecord } from './csv.js';
+import { ARCHIVE_DIR } from './loads.js';
+
+// Exportación de los charts guardados a un conjunto de datos CSV, NDJSON o Parquet
+// Las filas salen de los JSON de data/ (incluidos los archivados por loadToDatabase.js) o de la
+// vista chart_rows de un almacenamiento, con las mismas columnas en los dos casos
+
+const gunzip = promisify(zlib.gunzip);
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+export const PARTITION_KEYS = ['date', 'country'];
+
+// Columnas exportadas y su tipo en Parquet
+export const EXPORT_COLUMNS = [
+  { name: 'chart_type', type: 'string' },
+  { name: 'period', type: 'string' },
+  { name: 'country', type: 'string' },
+  { name: 'date', type: 'date' },
+  { name: 'rank', type: 'int32' },
+  { name: 'uri', type: 'string' },
+  { name: 'artist_names', type: 'string' },
+  { name: 'track_name', type: 'string' },
+  { name: 'source', type: 'string' },
+  { name: 'peak_rank', type: 'int32' },
+  { name: 'previous_rank', type: 'int32' },
+  { name: 'days_on_chart', type: 'int32' },
+  { name: 'weeks_on_chart', type: 'int32' },
+  { name: 'streams', type: 'int64' }
+];
+
+const DATE_FOLDER_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Indica si un chart (por su tipo, periodo, país y fecha) pasa los filtros
+// filters: { from, to, countries, chart, period }, todos opcionales
+export function matchesFilters(entry, filters) {
+  const { from, to, countries, chart, period } = filters;
+  return (!from || entry.date >= from) &&
+    (!to || entry.date <= to) &&
+    (!countries || countries.includes(entry.country)) &&
+    (!chart || entry.chart.type === chart) &&
+    (!period || entry.chart.period === period);
+}
+
+// Función para listar los JSON de charts de data/<fecha>/ y data/archive/<fecha>/ (también .json.gz)
+// Si un archivo está en los dos sitios se usa el de la carpeta de fecha
+export async function listChartFiles(dataDir) {
+  const files = new Map();
+  const scan = async baseDir => {
+    const folders = await fsp.readdir(baseDir).catch(() => []);
+    for (const folder of folders.filter(name => DATE_FOLDER_REGEX.test(name)).sort()) {
+      const folderPath = path.join(baseDir, folder);
+      for (const file of (await fsp.readdir(folderPath)).sort()) {
+        const fileName = file.replace(/\.gz$/, '');
+        const parsed = parseChartFileName(fileName);
+        const key = `${folder}/${fileName}`;
+        if (parsed && !files.has(key)) {
+          files.set(key, { ...parsed, filePath: path.join(folderPath, file) });
+        }
+      }
+    }
+  };
+
+  await scan(dataDir);
+  await scan(path.join(dataDir, ARCHIVE_DIR));
+
+  return [...files.values()].sort((a, b) => a.date.localeCompare(b.date) || a.filePath.localeCompare(b.filePath));
+}
+
+// Función para convertir un track de un JSON en una fila exportada
+function trackToRow(entry, data, track) {
+  return {
+    chart_type: entry.chart.type,
+    period: entry.chart.period,
+    country: entry.country,
+    date: data.date || entry.date,
+    rank: track.rank,
+    uri: track.uri ?? null,
+    artist_names: track.artist_names ?? null,
+    track_name: track.track_name ?? null,
+    source: track.source ?? null,
+    peak_rank: track.peak_rank ?? null,
+    previous_rank: track.previous_rank ?? null,
+    days_on_chart: track.days_on_chart ?? null,
+    weeks_on_chart: track.weeks_on_chart ?? null,
+    streams: track.streams ?? null
+  };
+}
+
+// Función para leer las filas de un JSON de los que devuelve listChartFiles
+export async function readChartFileRows(entry) {
+  let content = await fsp.readFile(entry.filePath);
+  if (entry.filePath.endsWith('.gz')) {
+    content = await gunzip(content);
+  }
+  const data = JSON.parse(content.toString('utf-8'));
+  return (data.tracks || []).map(track => trackToRow(entry, data, track));
+}
+
+// Lee las filas de los JSON de data/ que pasan los filtros, ordenadas por fecha
+export async function* readJsonRows(dataDir, filters = {}) {
+  for (const entry of await listChartFiles(dataDir)) {
+    if (matchesFilters(entry, filters)) {
+      yield* await readChartFileRows(entry);
+    }
+  }
+}
+
+// Función para convertir una fila de la vista chart_rows en una fila exportada
+// Los BIGINT llegan como texto en algunos drivers; se devuelven como números, igual que en los JSON
+export function storageRowToRow(row) {
+  const toValue = (column, value) =>
+    value === null || value === undefined ? null : column.type.startsWith('int') ? Number(value) : value;
+  return Object.fromEntries(EXPORT_COLUMNS.map(column => [column.name, toValue(column, row[column.name])]));
+}
+
+// Función para traducir los filtros a condiciones sobre la vista chart_rows
+// Devuelve { conditions, params } con parámetros @nombre
+export function buildRowFilters(filters) {
+  const conditions = [];
+  const params = {};
+
+  if (filters.from) {
+    conditions.push('date >= @from');
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    conditions.push('date <= @to');
+    params.to = filters.to;
+  }
+  if (filters.chart) {
+    conditions.push('chart_type = @chart');
+    params.chart = filters.chart;
+  }
+  if (filters.period) {
+    conditions.push('period = @period');
+    params.period = filters.period;
+  }
+  if (filters.countries) {
+    const names = filters.countries.map((country, index) => {
+      params[`country${index}`] = country;
+      return `@country${index}`;
+    });
+    conditions.push(`country IN (${names.join(', ')})`);
+  }
+
+  return { conditions, params };
+}
+
+// Columnas del orden de exportación, que identifican cada fila de chart_rows
+const ORDER_COLUMNS = ['date', 'country', 'chart_type', 'period', 'rank'];
+
+// Filas por consulta al leer chart_rows por páginas
+const STORAGE_PAGE_SIZE = 5000;
+
+// Filas de cada grupo de filas (row group) de Parquet: solo se guardan en memoria las del grupo actual
+export const PARQUET_ROW_GROUP_SIZE = 10000;
+
+// Condición "fila posterior a after" en el orden de exportación, escrita sin comparar tuplas
+// ((a, b) > (x, y)), que SQL Server no admite
+function afterRowCondition(after, params) {
+  return ORDER_COLUMNS.reduceRight((condition, column) => {
+    params[`after_${column}`] = after[column];
+    const greater = `${column} > @after_${column}`;
+    return condition ? `(${greater} OR (${column} = @after_${column} AND ${condition}))` : greater;
+  }, null);
+}
+
+// Consulta filas de la vista chart_rows con los filtros y condiciones adicionales, en el orden de exportación
+// Con page ({ after, limit }) devuelve solo las limit filas siguientes a la fila after (o las primeras)
+export async function queryStorageRows(storage, filters = {}, extra = { conditions: [], params: {} }, page = null) {
+  const { conditions, params } = buildRowFilters(filters);
+  conditions.push(...extra.conditions);
+  Object.assign(params, extra.params);
+  if (page?.after) {
+    conditions.push(afterRowCondition(page.after, params));
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = await storage.query(`
+    SELECT ${EXPORT_COLUMNS.map(column => column.name).join(', ')}
+    FROM chart_rows
+    ${where}
+    ORDER BY ${ORDER_COLUMNS.join(', ')}
+    ${page ? storage.limitClause(page.limit) : ''}
+  `, params);
+
+  return rows.map(storageRowToRow);
+}
+
+// Lee las filas de la vista chart_rows de un almacenamiento ya conectado
+// Se piden por páginas (siguiendo el orden de exportación) para no tener todo el resultado en memoria
+export async function* readStorageRows(storage, filters = {}) {
+  let after = null;
+  for (;;) {
+    const rows = await queryStorageRows(storage, filters, undefined, { after, limit: STORAGE_PAGE_SIZE });
+    yield* rows;
+    if (rows.length < STORAGE_PAGE_SIZE) {
+      return;
+    }
+    after = rows[rows.length - 1];
+  }
+}
+
+// Esquema Parquet de las columnas exportadas (todas opcionales)
+function parquetSchema() {
+  const types = {
+    string: { type: 'BYTE_ARRAY', converted_type: 'UTF8' },
+    date: { type: 'INT32', converted_type: 'DATE' },
+    int32: { type: 'INT32' },
+    int64: { type: 'INT64' }
+  };
+  return [
+    { name: 'root', num_children: EXPORT_COLUMNS.length },
+    ...EXPORT_COLUMNS.map(column => ({ name: column.name, ...types[column.type], repetition_type: 'OPTIONAL' }))
+  ];
+}
+
+// Valor de una columna tal como lo espera el escritor de Parquet
+function parquetValue(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (column.type === 'date') {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  if (column.type === 'int64') {
+    return BigInt(value);
+  }
+  return value;
+}
+
+// Función para cargar el escritor de Parquet, que es una dependencia opcional
+async function loadParquetWriter() {
+  try {
+    return await import('hyparquet-writer');
+  } catch (error) {
+    throw new Error(`Para exportar a Parquet instala hyparquet-writer (npm install hyparquet-writer): ${error.message}`);
+  }
+}
+
+// Escritor de texto por líneas (CSV o NDJSON) que respeta la contrapresión del stream
+// Con append se sigue escribiendo al final de un archivo ya empezado, sin repetir la cabecera
+function createLineWriter(file, header, { append = false } = {}) {
+  const stream = fs.createWriteStream(file, { flags: append ? 'a' : 'w' });
+  const write = async line => {
+    if (!stream.write(line)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  return {
+    header: header && !append ? write(header) : Promise.resolve(),
+    write,
+    async close() {
+      stream.end();
+      await once(stream, 'finish');
+    }
+  };
+}
+
+// Escritor de un archivo del formato pedido
+// Parquet es columnar: las filas se acumulan hasta completar un grupo de filas, que se escribe en el
+// archivo; al cerrar se escribe el último grupo y el pie con los metadatos
+async function createFileWriter(format, file, { append = false } = {}) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+
+  if (format === 'csv') {
+    const writer = createLineWriter(file, formatCSVRecord(EXPORT_COLUMNS.map(column => column.name)), { append });
+    await writer.header;
+    return {
+      write: row => writer.write(formatCSVRecord(EXPORT_COLUMNS.map(column => row[column.name]))),
+      close: writer.close
+    };
+  }
+
+  if (format === 'ndjson') {
+    const writer = createLineWriter(file, null, { append });
+    return {
+      write: row => writer.write(`${JSON.stringify(row)}\n`),
+      close: writer.close
+    };
+  }
+
+  const { ParquetWriter, fileWriter } = await loadParquetWriter();
+  const writer = new ParquetWriter({ writer: fileWriter(file), schema: parquetSchema() });
+  let columns = EXPORT_COLUMNS.map(() => []);
+
+  const writeRowGroup = async () => {
+    const rowCount = columns[0].length;
+    if (rowCount === 0) {
+      return;
+    }
+    await writer.write({
+      columnData: EXPORT_COLUMNS.map((column, index) => ({ name: column.name, data: columns[index] })),
+      rowGroupSize: rowCount
+    });
+    columns = EXPORT_COLUMNS.map(() => []);
+  };
+
+  return {
+    async write(row) {
+      EXPORT_COLUMNS.forEach((column, index) => columns[index].push(parquetValue(column, row[column.name])));
+      if (columns[0].length >= PARQUET_ROW_GROUP_SIZE) {
+        await writeRowGroup();
+      }
+    },
+    async close() {
+      await writeRowGroup();
+      await writer.finish();
+    }
+  };
+}
+
+// Ruta del archivo de una partición: <salida>/date=YYYY-MM-DD/country=xx/charts.<formato>
+// (el formato de carpetas clave=valor que entienden pandas y Spark)
+export function partitionPath(output, format, partitionBy, row) {
+  const folders = partitionBy.map(key => `${key}=${row[key]}`);
+  return path.join(output, ...folders, `charts.${format}`);
+}
+
+// Ruta del n-ésimo archivo de una partición de Parquet: charts.parquet, charts-2.parquet...
+function parquetPartPath(file, part) {
+  return part === 1 ? file : file.replace(/\.parquet$/, `-${part}.parquet`);
+}
+
+// Crea el exportador: write(row) escribe una fila y close() cierra todos los archivos
+// Sin partitionBy todo va a output (un archivo); con partitionBy, output es una carpeta
+// Las filas llegan ordenadas por fecha y país, así que solo se mantiene abierto el archivo de la
+// partición actual: al cambiar de partición se cierra (con miles de particiones no quedan miles de
+// archivos abiertos). Si una partición vuelve a aparecer (p.ej. por país, con varias fechas), en CSV y
+// NDJSON se sigue escribiendo al final de su archivo; un Parquet cerrado no admite más filas, así que
+// se escribe otro archivo en la misma carpeta (charts-2.parquet...), que los lectores leen juntos
+export function createExporter({ format, output, partitionBy = [] }) {
+  const files = new Set();
+  const parquetParts = new Map();
+  let current = null;
+  let rows = 0;
+
+  const writerFor = async row => {
+    const partition = partitionBy.length > 0 ? partitionPath(output, format, partitionBy, row) : output;
+
+    if (current?.partition !== partition) {
+      if (current) {
+        await (await current.writer).close();
+      }
+      let file = partition;
+      let append = files.has(file);
+      if (format === 'parquet') {
+        const part = (parquetParts.get(partition) ?? 0) + 1;
+        parquetParts.set(partition, part);
+        file = parquetPartPath(partition, part);
+        append = false;
+      }
+      files.add(file);
+      current = { partition, writer: createFileWriter(format, file, { append }) };
+    }
+    return current.writer;
+  };
+
+  return {
+    async write(row) {
+      const writer = await writerFor(row);
+      await writer.write(row);
+      rows++;
+    },
+
+    async close() {
+      if (current) {
+        await (await current.writer).close();
+        current = null;
+      }
+      return { rows, files: [...files] };
+    }
+  };
+}
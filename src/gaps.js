@@ -0,0 +1,79 @@
+import { snapToWeekEnd } from './charts.js';
+import { dateRange } from './utils.js';
+
+// Detección de huecos: combinaciones país/fecha de un chart que faltan o están incompletas (con menos
+// filas de las esperadas), para volver a descargarlas con "spotify-charts scrape --target"
+
+// Fechas que debería tener un chart entre dos fechas: todas en los diarios y los jueves que cierran
+// cada semana en los semanales
+export function expectedDates(chart, from, to) {
+  const dates = dateRange(from, to);
+  return chart.period === 'weekly' ? dates.filter(date => snapToWeekEnd(date) === date) : dates;
+}
+
+// Número de filas más habitual de un país (el tamaño normal de su chart)
+function usualSize(sizes) {
+  const counts = new Map();
+  for (const size of sizes) {
+    counts.set(size, (counts.get(size) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0] ?? null;
+}
+
+// Compara los charts guardados con los esperados
+// sizes: [{ country, date, tracks }] de uno o varios orígenes (si un chart está en varios, cuenta el
+// más completo). expectedTracks es el número de filas esperado; si no se indica, se usa el más habitual
+// de cada país en esas fechas
+// Devuelve { expected, present, missing: [{ country, date }], partial: [{ country, date, tracks, expected }] }
+export function findGaps({ countries, dates, sizes, expectedTracks = null }) {
+  const stored = new Map();
+  for (const { country, date, tracks } of sizes) {
+    const key = `${country}:${date}`;
+    stored.set(key, Math.max(stored.get(key) ?? 0, tracks));
+  }
+
+  const missing = [];
+  const partial = [];
+  let present = 0;
+
+  for (const country of countries) {
+    const countrySizes = dates.map(date => stored.get(`${country}:${date}`)).filter(size => size !== undefined);
+    const expected = expectedTracks ?? usualSize(countrySizes);
+
+    for (const date of dates) {
+      const tracks = stored.get(`${country}:${date}`);
+      if (tracks === undefined) {
+        missing.push({ country, date });
+        continue;
+      }
+      present++;
+      if (tracks < expected) {
+        partial.push({ country, date, tracks, expected });
+      }
+    }
+  }
+
+  const byDate = (a, b) => a.date.localeCompare(b.date) || a.country.localeCompare(b.country);
+  return {
+    expected: countries.length * dates.length,
+    present,
+    missing: missing.sort(byDate),
+    partial: partial.sort(byDate)
+  };
+}
+
+// Trabajos de scraping { chart, country, date } que rellenan los huecos
+export function gapsToJobs(chart, gaps) {
+  return [...gaps.missing, ...gaps.partial].map(({ country, date }) => ({ chart, country, date }));
+}
+
+// Argumentos de "spotify-charts scrape" que descargan los trabajos
+// Los charts incompletos ya tienen archivo, así que hace falta --force para volver a descargarlos
+export function scrapeArgs(chart, jobs, { force = false } = {}) {
+  return [
+    '--chart', chart.type,
+    '--period', chart.period,
+    ...jobs.flatMap(job => ['--target', `${job.date}:${job.country}`]),
+    ...(force ? ['--force'] : [])
+  ];
+}
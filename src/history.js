@@ -0,0 +1,144 @@
+import { artistKey, splitArtistNames } from './artists.js';
+import { formatCSVRecord } from './csv.js';
+import { GLOBAL_COUNTRY } from './spread.js';
+
+// Series temporales de una canción o de un artista: por país y día, rank, streams, streams acumulados
+// y días en el chart desde la primera fecha vista. Trabaja sobre las filas de un origen de datos
+// (src/sources.js) de un solo tipo de chart
+// Los totales entre países no suman el chart global, que ya incluye los streams de todos los países
+
+// Cómo se reparten los streams de una colaboración entre sus artistas:
+// full cuenta los streams completos para cada artista y split los divide a partes iguales
+export const COLLABORATION_MODES = ['full', 'split'];
+
+// Función para agrupar filas por país, con las fechas ordenadas
+function groupByCountry(rows) {
+  const countries = new Map();
+  for (const row of rows) {
+    if (!countries.has(row.country)) {
+      countries.set(row.country, []);
+    }
+    countries.get(row.country).push(row);
+  }
+  for (const list of countries.values()) {
+    list.sort((a, b) => a.date.localeCompare(b.date) || a.rank - b.rank);
+  }
+  return [...countries.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+// Suma de streams de los países (sin el global)
+function sumCountries(countries, field) {
+  return countries
+    .filter(country => country.country !== GLOBAL_COUNTRY)
+    .reduce((total, country) => total + country[field], 0);
+}
+
+// Serie de un país a partir de sus puntos diarios { date, rank, streams, ... }
+// Añade los streams acumulados y los días en el chart desde la primera fecha vista
+function buildSeries(points) {
+  let cumulative = 0;
+  const series = points.map((point, index) => {
+    cumulative += point.streams ?? 0;
+    return { ...point, cumulative_streams: cumulative, days_on_chart: index + 1 };
+  });
+
+  return {
+    first_seen: series[0].date,
+    last_seen: series.at(-1).date,
+    days_on_chart: series.length,
+    best_rank: Math.min(...series.map(point => point.rank)),
+    total_streams: cumulative,
+    series
+  };
+}
+
+// Historial de una canción a partir de sus filas (todas con la misma URI)
+export function buildTrackHistory(uri, rows) {
+  const countries = groupByCountry(rows).map(([country, countryRows]) => ({
+    country,
+    ...buildSeries(countryRows.map(row => ({ date: row.date, rank: row.rank, streams: row.streams ?? null })))
+  }));
+
+  return {
+    uri,
+    track_name: rows[0]?.track_name ?? null,
+    artist_names: rows[0]?.artist_names ?? null,
+    total_streams: sumCountries(countries, 'total_streams'),
+    countries
+  };
+}
+
+// Historial de un artista a partir de las filas de sus canciones
+// Cada día y país suma los streams de todas sus canciones en el chart; en las colaboraciones
+// (varios artistas en artist_names) los streams se cuentan según collaborations
+export function buildArtistHistory(name, rows, { collaborations = 'full' } = {}) {
+  const target = artistKey(name);
+  const songs = rows
+    .map(row => ({ row, artists: splitArtistNames(row.artist_names) }))
+    .filter(({ artists }) => artists.some(artist => artistKey(artist) === target));
+
+  const share = artists => collaborations === 'split' ? 1 / artists.length : 1;
+  const streamsOf = ({ row, artists }) => row.streams === null ? null : Math.round(row.streams * share(artists));
+
+  const countries = groupByCountry(songs.map(song => ({ ...song.row, song }))).map(([country, countryRows]) => {
+    const days = new Map();
+    for (const row of countryRows) {
+      if (!days.has(row.date)) {
+        days.set(row.date, { date: row.date, tracks: 0, rank: row.rank, streams: null });
+      }
+      const day = days.get(row.date);
+      const streams = streamsOf(row.song);
+      day.tracks++;
+      day.rank = Math.min(day.rank, row.rank);
+      day.streams = streams === null ? day.streams : (day.streams ?? 0) + streams;
+    }
+    return { country, ...buildSeries([...days.values()]) };
+  });
+
+  // Totales por canción, para ver qué parte de los streams viene de cada una
+  const tracks = new Map();
+  for (const song of songs) {
+    const { row, artists } = song;
+    if (!tracks.has(row.uri)) {
+      tracks.set(row.uri, {
+        uri: row.uri,
+        track_name: row.track_name,
+        artist_names: row.artist_names,
+        collaboration: artists.length > 1,
+        total_streams: 0
+      });
+    }
+    if (row.country !== GLOBAL_COUNTRY) {
+      tracks.get(row.uri).total_streams += streamsOf(song) ?? 0;
+    }
+  }
+
+  const canonicalName = songs[0]?.artists.find(artist => artistKey(artist) === target) ?? name;
+  return {
+    artist: canonicalName,
+    collaborations,
+    total_streams: sumCountries(countries, 'total_streams'),
+    tracks: [...tracks.values()].sort((a, b) => b.total_streams - a.total_streams),
+    countries
+  };
+}
+
+// Columnas del CSV de cada tipo de historial (una fila por país y día)
+const TRACK_CSV_COLUMNS = ['uri', 'country', 'date', 'rank', 'streams', 'cumulative_streams', 'days_on_chart'];
+const ARTIST_CSV_COLUMNS = ['artist', 'country', 'date', 'tracks', 'rank', 'streams', 'cumulative_streams', 'days_on_chart'];
+
+// Función para convertir un historial en CSV
+export function historyToCSV(history) {
+  const isArtist = 'artist' in history;
+  const columns = isArtist ? ARTIST_CSV_COLUMNS : TRACK_CSV_COLUMNS;
+  const key = isArtist ? { artist: history.artist } : { uri: history.uri };
+
+  const lines = [formatCSVRecord(columns)];
+  for (const country of history.countries) {
+    for (const point of country.series) {
+      const record = { ...key, country: country.country, ...point };
+      lines.push(formatCSVRecord(columns.map(column => record[column])));
+    }
+  }
+  return lines.join('');
+}
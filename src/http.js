@@ -0,0 +1,131 @@
+import { CHART_TYPES, expectedCsvPattern } from './charts.js';
+import { FAILURE_KINDS, ScrapeError } from './errors.js';
+import { log } from './logger.js';
+
+// Descargas por HTTP directo reutilizando la sesión del navegador
+// La sesión guarda el token Bearer y las cookies capturadas del navegador autenticado,
+// y la plantilla de URL que usa el botón de descarga (aprendida en la primera descarga)
+
+// Error de una petición HTTP rechazada por Spotify: se debe volver al navegador
+export class HttpRejectedError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpRejectedError';
+    this.status = status;
+  }
+}
+
+// Función para crear una sesión HTTP vacía
+export function createHttpSession() {
+  return { token: null, cookies: [], userAgent: null, urlTemplate: null };
+}
+
+// Indica si la sesión ya puede descargar sin navegador
+export function isSessionReady(session) {
+  return Boolean(session && session.urlTemplate && (session.token || session.cookies.length > 0));
+}
+
+// Escucha las peticiones de una página para capturar el token Bearer que usa la web de charts
+export function captureToken(session, page) {
+  page.on('request', request => {
+    const authorization = request.headers().authorization;
+    if (authorization && authorization.startsWith('Bearer ')) {
+      session.token = authorization;
+    }
+  });
+}
+
+// Función para guardar las cookies de Spotify y el user agent del navegador de una página
+export async function captureCookies(session, page) {
+  const cookies = await page.browserContext().cookies();
+  session.cookies = cookies.filter(cookie => cookie.domain.replace(/^\./, '').endsWith('spotify.com'));
+  session.userAgent = await page.browser().userAgent();
+}
+
+// Aprende la plantilla de URL a partir de la URL real de una descarga del navegador
+// dates son los valores de fecha que pueden aparecer en la URL (la pedida y la real del CSV)
+// Devuelve false si la descarga no es una URL HTTP reutilizable (p.ej. un blob: generado en la página)
+export function learnDownloadUrl(session, downloadUrl, chart, country, dates) {
+  if (!downloadUrl || !/^https?:/.test(downloadUrl)) {
+    return false;
+  }
+
+  const alias = `${CHART_TYPES[chart.type].slug}-${country}-${chart.period}`;
+  if (!downloadUrl.includes(alias)) {
+    return false;
+  }
+
+  const date = dates.find(candidate => downloadUrl.includes(candidate));
+  if (!date) {
+    return false;
+  }
+
+  session.urlTemplate = downloadUrl.replace(alias, '{alias}').replace(date, '{date}');
+  return true;
+}
+
+// Construye la cabecera Cookie con las cookies que aplican al host de la URL
+function cookieHeader(cookies, url) {
+  const { hostname } = new URL(url);
+  return cookies
+    .filter(cookie => {
+      const domain = cookie.domain.replace(/^\./, '');
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    })
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+// Extrae el nombre de archivo de la cabecera Content-Disposition
+function filenameFromHeaders(headers) {
+  const disposition = headers.get('content-disposition') || '';
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Descarga el CSV directamente por HTTP
+// Devuelve lo mismo que downloadCSV: { csvContent, csvDate, csvFileName }
+export async function fetchCSV(session, chart, country, date = 'latest') {
+  const alias = `${CHART_TYPES[chart.type].slug}-${country}-${chart.period}`;
+  const url = session.urlTemplate.replace('{alias}', alias).replace('{date}', date);
+  await log(`Descargando por HTTP ${url}`, 'DOWNLOAD');
+
+  const headers = { 'Accept': 'text/csv,*/*' };
+  if (session.token) {
+    headers['Authorization'] = session.token;
+  }
+  if (session.userAgent) {
+    headers['User-Agent'] = session.userAgent;
+  }
+  const cookies = cookieHeader(session.cookies, url);
+  if (cookies) {
+    headers['Cookie'] = cookies;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(30000) });
+  } catch (error) {
+    throw new ScrapeError(`Fallo de red en la descarga HTTP: ${error.message}`, FAILURE_KINDS.TRANSIENT);
+  }
+
+  if (!response.ok) {
+    throw new HttpRejectedError(`Spotify rechazó la descarga HTTP (${response.status})`, response.status);
+  }
+
+  // Una página HTML con 200 suele ser el muro de login
+  if ((response.headers.get('content-type') || '').includes('text/html')) {
+    throw new HttpRejectedError('Spotify devolvió HTML en lugar del CSV', response.status);
+  }
+
+  const csvContent = await response.text();
+  const csvFileName = filenameFromHeaders(response.headers) || `${alias}-${date}.csv`;
+  const csvDateMatch = csvFileName.match(expectedCsvPattern(chart, country));
+
+  // Sin fecha en el nombre (p.ej. con 'latest') no sabemos a qué día corresponde
+  if (!csvDateMatch) {
+    throw new HttpRejectedError(`La respuesta HTTP no trae un CSV reconocible (${csvFileName})`, response.status);
+  }
+
+  return { csvContent, csvDate: csvDateMatch[1], csvFileName };
+}
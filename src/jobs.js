@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { OUTPUT_DIR } from './config.js';
+import { chartId } from './charts.js';
+
+// Registro persistente de trabajos de scraping (chart, país, fecha)
+export const LEDGER_FILE = path.join(OUTPUT_DIR, 'jobs.json');
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in-progress',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Clave única de un trabajo, p.ej. "regional-daily:es:2025-12-16"
+export function jobKey(job) {
+  return `${chartId(job.chart)}:${job.country}:${job.date}`;
+}
+
+// Función para leer el registro de trabajos (vacío si no existe)
+export async function loadLedger(file = LEDGER_FILE) {
+  try {
+    const content = await fs.readFile(file, 'utf-8');
+    const data = JSON.parse(content);
+    return { file, jobs: data.jobs || [], saving: Promise.resolve() };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { file, jobs: [], saving: Promise.resolve() };
+    }
+    throw new Error(`No se pudo leer el registro de trabajos ${file}: ${error.message}`);
+  }
+}
+
+// Función para guardar el registro de forma atómica (escribe a un temporal y renombra)
+// Las escrituras se encadenan para que varios workers no pisen el mismo temporal
+export function saveLedger(ledger) {
+  const write = async () => {
+    const tempFile = `${ledger.file}.tmp`;
+    await fs.mkdir(path.dirname(ledger.file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify({ jobs: ledger.jobs }, null, 2));
+    await fs.rename(tempFile, ledger.file);
+  };
+
+  ledger.saving = ledger.saving.catch(() => {}).then(write);
+  return ledger.saving;
+}
+
+// Función para buscar la entrada de un trabajo en el registro
+export function findEntry(ledger, job) {
+  const key = jobKey(job);
+  return ledger.jobs.find(entry => entry.key === key);
+}
+
+// Añade los trabajos de una nueva ejecución como pendientes
+// Si ya existían se reinicia su estado pero se conserva el número de intentos
+export function enqueueJobs(ledger, jobs) {
+  const now = new Date().toISOString();
+
+  for (const job of jobs) {
+    const key = jobKey(job);
+    const previous = ledger.jobs.find(entry => entry.key === key);
+    ledger.jobs = ledger.jobs.filter(entry => entry.key !== key);
+    ledger.jobs.push({
+      key,
+      chart: job.chart,
+      country: job.country,
+      date: job.date,
+      status: JOB_STATUS.PENDING,
+      attempts: previous ? previous.attempts : 0,
+      last_error: null,
+      last_error_kind: null,
+      resolved_date: null,
+      updated_at: now
+    });
+  }
+}
+
+// Actualiza el estado de un trabajo y lo guarda en disco
+export async function updateJob(ledger, job, status, { error = null, errorKind = null, resolvedDate = null } = {}) {
+  const entry = findEntry(ledger, job);
+  if (!entry) {
+    throw new Error(`El trabajo ${jobKey(job)} no está en el registro`);
+  }
+
+  entry.status = status;
+  entry.updated_at = new Date().toISOString();
+  if (status === JOB_STATUS.IN_PROGRESS) {
+    entry.attempts++;
+  }
+  if (error) {
+    entry.last_error = error;
+    entry.last_error_kind = errorKind;
+  }
+  if (status === JOB_STATUS.DONE) {
+    entry.last_error = null;
+    entry.last_error_kind = null;
+    entry.resolved_date = resolvedDate;
+  }
+
+  await saveLedger(ledger);
+}
+
+// Trabajos que quedaron sin terminar (pendientes o interrumpidos a mitad)
+export function unfinishedJobs(ledger) {
+  return ledger.jobs
+    .filter(entry => entry.status === JOB_STATUS.PENDING || entry.status === JOB_STATUS.IN_PROGRESS)
+    .map(({ chart, country, date }) => ({ chart, country, date }));
+}
+
+// Trabajos que terminaron con error
+export function failedJobs(ledger) {
+  return ledger.jobs
+    .filter(entry => entry.status === JOB_STATUS.FAILED)
+    .map(({ chart, country, date }) => ({ chart, country, date }));
+}
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { OUTPUT_DIR } from './config.js';
+
+// Registro persistente de cargas en la base de datos: qué archivo se cargó, con qué contenido
+// (hash), cuántas filas y cuándo. Sustituye a borrar los JSON después de cargarlos
+export const LOAD_LEDGER_FILE = path.join(OUTPUT_DIR, 'loads.json');
+
+export const ARCHIVE_DIR = 'archive';
+export const FAILED_DIR = 'failed';
+
+export const LOAD_STATUS = {
+  LOADED: 'loaded',
+  FAILED: 'failed',
+  QUARANTINED: 'quarantined'
+};
+
+// Hash SHA-256 del contenido de un archivo
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Ruta de archivo de un JSON cargado: data/archive/YYYY-MM-DD/<archivo>[.gz]
+export function archivePath(fileName, date, { gzip = false, dataDir = OUTPUT_DIR } = {}) {
+  return path.join(dataDir, ARCHIVE_DIR, date, gzip ? `${fileName}.gz` : fileName);
+}
+
+// Rutas en las que puede estar un JSON descargado: la carpeta de su fecha o, una vez cargado, el
+// archivo (con o sin gzip). Son las mismas carpetas que recorre listChartFiles (src/export.js)
+export function storedChartPaths(fileName, date, dataDir = OUTPUT_DIR) {
+  return [
+    path.join(dataDir, date, fileName),
+    archivePath(fileName, date, { dataDir }),
+    archivePath(fileName, date, { gzip: true, dataDir })
+  ];
+}
+
+// Ruta de un JSON que no se pudo cargar: data/failed/YYYY-MM-DD/<archivo>
+export function failedPath(fileName, date, dataDir = OUTPUT_DIR) {
+  return path.join(dataDir, FAILED_DIR, date, fileName);
+}
+
+// Función para leer el registro de cargas (vacío si no existe)
+export async function loadLoadLedger(file = LOAD_LEDGER_FILE) {
+  try {
+    const content = await fs.readFile(file, 'utf-8');
+    const data = JSON.parse(content);
+    return { file, loads: data.loads || [], saving: Promise.resolve() };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { file, loads: [], saving: Promise.resolve() };
+    }
+    throw new Error(`No se pudo leer el registro de cargas ${file}: ${error.message}`);
+  }
+}
+
+// Función para guardar el registro de forma atómica (escribe a un temporal y renombra)
+// Las escrituras se encadenan porque se cargan varios archivos a la vez
+export function saveLoadLedger(ledger) {
+  const write = async () => {
+    const tempFile = `${ledger.file}.tmp`;
+    await fs.mkdir(path.dirname(ledger.file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify({ loads: ledger.loads }, null, 2));
+    await fs.rename(tempFile, ledger.file);
+  };
+
+  ledger.saving = ledger.saving.catch(() => {}).then(write);
+  return ledger.saving;
+}
+
+// Busca la última carga correcta de un archivo con ese mismo contenido
+export function findLoaded(ledger, fileName, hash) {
+  return ledger.loads.find(entry =>
+    entry.file === fileName && entry.sha256 === hash && entry.status === LOAD_STATUS.LOADED);
+}
+
+// Anota el resultado de la carga de un archivo y guarda el registro
+// Se guarda una entrada por archivo y contenido: recargar el mismo archivo sustituye su entrada
+export async function recordLoad(ledger, entry) {
+  ledger.loads = ledger.loads.filter(existing => !(existing.file === entry.file && existing.sha256 === entry.sha256));
+  ledger.loads.push({
+    file: entry.file,
+    chart: entry.chart,
+    country: entry.country,
+    date: entry.date,
+    sha256: entry.sha256,
+    status: entry.status,
+    rows_total: entry.rowsTotal,
+    rows_loaded: entry.rowsLoaded,
+    rows_failed: entry.rowsFailed,
+    duration_ms: entry.durationMs,
+    loaded_at: new Date().toISOString(),
+    moved_to: entry.movedTo || null,
+    error: entry.error || null
+  });
+
+  await saveLoadLedger(ledger);
+}
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+
+// Archivo de bloqueo para que no se ejecuten dos procesos a la vez (p.ej. dos daemons, o una ejecución
+// lanzada por cron mientras la anterior sigue descargando). Guarda el PID y la hora del proceso que lo
+// tiene; si ese proceso ya no existe el bloqueo se considera abandonado y se reemplaza
+
+// Función para comprobar si un proceso sigue vivo
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: existe, pero es de otro usuario
+    return error.code === 'EPERM';
+  }
+}
+
+// Función para leer el archivo de bloqueo (null si no existe o está corrupto)
+export function readLock(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Intenta tomar el bloqueo
+// Devuelve { acquired: true, release } o { acquired: false, owner } con el contenido del bloqueo ajeno
+export function acquireLock(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const owner = { pid: process.pid, started_at: new Date().toISOString() };
+
+  // El contenido se escribe primero en un archivo temporal y se enlaza con el nombre del bloqueo, que
+  // falla si ya existe: así nunca hay un bloqueo a medio escribir que otro proceso lea vacío y borre
+  const temp = `${file}.${process.pid}.tmp`;
+
+  try {
+    fs.writeFileSync(temp, JSON.stringify(owner, null, 2));
+    return takeLock(file, temp, owner);
+  } catch (error) {
+    throw new Error(`No se pudo crear el archivo de bloqueo ${file}: ${error.message}`);
+  } finally {
+    fs.rmSync(temp, { force: true });
+  }
+}
+
+// Función para enlazar el bloqueo escrito en temp, reemplazando el abandonado si hace falta
+function takeLock(file, temp, owner) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.linkSync(temp, file);
+      // Síncrono para poder liberarlo también desde process.on('exit')
+      const release = () => {
+        if (readLock(file)?.pid === owner.pid) {
+          fs.rmSync(file, { force: true });
+        }
+      };
+      return { acquired: true, release };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const current = readLock(file);
+    if (current && isAlive(current.pid)) {
+      return { acquired: false, owner: current };
+    }
+    fs.rmSync(file, { force: true });
+  }
+
+  return { acquired: false, owner: readLock(file) };
+}
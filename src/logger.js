@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import { AsyncLocalStorage } from 'async_hooks';
+import { LOG_FILE } from './config.js';
+
+// Tipos de log con emojis
+export const LOG_TYPES = {
+  INFO: { prefix: '📄', label: 'INFO' },
+  SUCCESS: { prefix: '✅', label: 'SUCCESS' },
+  ERROR: { prefix: '❌', label: 'ERROR' },
+  WARNING: { prefix: '⚠️', label: 'WARNING' },
+  WAIT: { prefix: '⏳', label: 'WAIT' },
+  PAUSE: { prefix: '⏸️', label: 'PAUSE' },
+  DOWNLOAD: { prefix: '📥', label: 'DOWNLOAD' },
+  SEARCH: { prefix: '🔍', label: 'SEARCH' },
+  PHOTO: { prefix: '📸', label: 'PHOTO' },
+  STATS: { prefix: '📊', label: 'STATS' },
+  START: { prefix: '🚀', label: 'START' }
+};
+
+// Prefijo de las líneas de log del worker que se está ejecutando (p.ej. "W2")
+const logPrefix = new AsyncLocalStorage();
+
+// Ejecuta fn de forma que todos sus logs lleven el prefijo indicado
+export function withLogPrefix(prefix, fn) {
+  return logPrefix.run(prefix, fn);
+}
+
+// Función de logging que escribe en consola y archivo
+export async function log(message, type = 'INFO') {
+  const prefix = logPrefix.getStore();
+  if (prefix) {
+    // Mantener los saltos de línea iniciales delante del prefijo
+    message = message.replace(/^(\n*)/, `$1[${prefix}] `);
+  }
+
+  const timestamp = new Date().toISOString();
+  const logType = LOG_TYPES[type] || LOG_TYPES.INFO;
+  const consoleMessage = `${logType.prefix} ${message}`;
+  const fileMessage = `[${timestamp}] [${logType.label}] ${message}\n`;
+
+  // Mostrar en consola
+  console.log(consoleMessage);
+
+  // Escribir en archivo
+  try {
+    await fs.appendFile(LOG_FILE, fileMessage);
+  } catch (error) {
+    console.error('Error escribiendo en log file:', error);
+  }
+}
@@ -0,0 +1,51 @@
+import { sleep } from './utils.js';
+
+// Limitador global de peticiones por minuto compartido por todos los workers
+// Reparte las peticiones a intervalos regulares de 60000 / requestsPerMinute ms
+// Con requestsPerMinute = 0 no limita
+export function createRateLimiter(requestsPerMinute) {
+  const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextSlot = 0;
+
+  return async function acquire() {
+    if (interval === 0) {
+      return;
+    }
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  };
+}
+
+// Procesa items con como mucho `concurrency` workers a la vez
+// worker(item, index, workerId) recibe el id del worker (1..concurrency)
+// Si un trabajo falla, su worker sigue con los siguientes y el resto de trabajos se procesan igual;
+// al terminar todos se lanza el error del primero que falló
+export async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const errors = [];
+
+  const runWorker = async workerId => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        await worker(items[index], index, workerId);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+  };
+
+  const workers = [];
+  for (let workerId = 1; workerId <= Math.min(concurrency, items.length); workerId++) {
+    workers.push(runWorker(workerId));
+  }
+  await Promise.all(workers);
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+}
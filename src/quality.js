@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { OUTPUT_DIR } from './config.js';
+import { CHART_TYPES } from './charts.js';
+
+// Controles de calidad de un chart normalizado, antes de guardarlo o cargarlo en la base de datos
+// Los errores (controles duros) ponen el archivo en cuarentena; los avisos solo se anotan
+
+export const QUALITY_DIR = 'quality';
+export const QUARANTINE_DIR = 'quarantine';
+
+// Campos numéricos que, si aparecen, deben ser números válidos
+const NUMERIC_FIELDS = ['rank', 'peak_rank', 'previous_rank', 'days_on_chart', 'weeks_on_chart', 'streams'];
+
+// Función para anotar un problema en la lista correspondiente
+function addIssue(list, check, message, rank = null) {
+  list.push(rank === null ? { check, message } : { check, rank, message });
+}
+
+// Revisa un chart normalizado ({ date, total_tracks, tracks }) y devuelve el informe de calidad
+export function checkChartQuality(data, chart) {
+  const errors = [];
+  const warnings = [];
+  const tracks = Array.isArray(data.tracks) ? data.tracks : [];
+
+  if (!Array.isArray(data.tracks) || tracks.length === 0) {
+    addIssue(errors, 'tracks', 'El chart no tiene canciones');
+  }
+
+  // total_tracks debe coincidir con el número real de filas
+  if (data.total_tracks === undefined || data.total_tracks === null) {
+    addIssue(warnings, 'total_tracks', `Falta total_tracks, se usará el número de filas (${tracks.length})`);
+  } else if (data.total_tracks !== tracks.length) {
+    addIssue(errors, 'total_tracks', `total_tracks es ${data.total_tracks} pero hay ${tracks.length} filas`);
+  }
+
+  // Campos numéricos sin NaN
+  for (const track of tracks) {
+    for (const field of NUMERIC_FIELDS) {
+      if (field in track && track[field] !== null && !Number.isFinite(track[field])) {
+        addIssue(errors, 'numeric', `${field} no es un número (${track[field]})`, track.rank);
+      }
+    }
+  }
+
+  // Ranks únicos y contiguos de 1 a N
+  const ranks = tracks.map(track => track.rank).sort((a, b) => a - b);
+  for (let i = 0; i < ranks.length; i++) {
+    if (ranks[i] !== i + 1) {
+      addIssue(errors, 'rank_contiguity', `Los ranks no son únicos y contiguos de 1 a ${tracks.length}: posición ${i + 1} tiene rank ${ranks[i]}`);
+      break;
+    }
+  }
+
+  // peak_rank nunca puede ser peor que el rank actual
+  for (const track of tracks) {
+    if (Number.isFinite(track.peak_rank) && track.peak_rank > track.rank) {
+      addIssue(errors, 'peak_rank', `peak_rank ${track.peak_rank} es mayor que rank ${track.rank}`, track.rank);
+    }
+  }
+
+  // URIs del tipo correcto y sin duplicados
+  const uriPrefix = CHART_TYPES[chart.type].uriPrefix;
+  const seenUris = new Set();
+  for (const track of tracks) {
+    if (typeof track.uri !== 'string' || !track.uri.startsWith(uriPrefix)) {
+      addIssue(errors, 'uri', `URI "${track.uri}" no empieza por ${uriPrefix}`, track.rank);
+    } else if (seenUris.has(track.uri)) {
+      addIssue(errors, 'uri_duplicate', `URI ${track.uri} duplicada`, track.rank);
+    }
+    seenUris.add(track.uri);
+  }
+
+  // Streams positivos y no crecientes según el rank (solo charts con streams)
+  const byRank = [...tracks].sort((a, b) => a.rank - b.rank);
+  for (let i = 0; i < byRank.length; i++) {
+    const track = byRank[i];
+    if (!('streams' in track)) {
+      continue;
+    }
+    if (!(track.streams > 0)) {
+      addIssue(errors, 'streams', `streams debe ser positivo (${track.streams})`, track.rank);
+    }
+    const previous = byRank[i - 1];
+    if (previous && Number.isFinite(previous.streams) && track.streams > previous.streams) {
+      addIssue(errors, 'streams_order', `streams (${track.streams}) mayor que en el rank ${previous.rank} (${previous.streams})`, track.rank);
+    }
+  }
+
+  return {
+    checked_at: new Date().toISOString(),
+    chart: chart.type,
+    period: chart.period,
+    country: data.country,
+    date: data.date,
+    total_tracks: tracks.length,
+    passed: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+// Ruta del informe de calidad de un archivo: data/quality/YYYY-MM-DD/<archivo>
+export function qualityReportPath(fileName, date, dataDir = OUTPUT_DIR) {
+  return path.join(dataDir, QUALITY_DIR, date, fileName);
+}
+
+// Ruta de cuarentena de un archivo: data/quarantine/YYYY-MM-DD/<archivo>
+export function quarantinePath(fileName, date, dataDir = OUTPUT_DIR) {
+  return path.join(dataDir, QUARANTINE_DIR, date, fileName);
+}
+
+// Función para guardar el informe de calidad de un archivo
+export async function saveQualityReport(report, fileName, date, dataDir = OUTPUT_DIR) {
+  const reportPath = qualityReportPath(fileName, date, dataDir);
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+// Resumen de una línea de los errores de un informe
+export function summarizeIssues(issues, max = 3) {
+  const shown = issues.slice(0, max).map(issue => issue.rank ? `rank ${issue.rank}: ${issue.message}` : issue.message);
+  const rest = issues.length > max ? ` (y ${issues.length - max} más)` : '';
+  return `${shown.join('; ')}${rest}`;
+}
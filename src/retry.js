@@ -0,0 +1,28 @@
+import { FAILURE_KINDS, classifyError } from './errors.js';
+import { randomDelay, sleep } from './utils.js';
+
+// Retardo exponencial con jitter: entre la mitad y el total de base * 2^(intento - 1)
+export function backoffDelay(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return randomDelay(Math.floor(exponential / 2), exponential);
+}
+
+// Ejecuta fn reintentando solo los fallos transitorios
+// onRetry(error, attempt, delay) se llama antes de cada espera
+export async function withRetry(fn, { retries, baseDelay, maxDelay, onRetry = async () => {} }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const kind = classifyError(error);
+      if (kind !== FAILURE_KINDS.TRANSIENT || attempt > retries) {
+        error.kind = kind;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, baseDelay, maxDelay);
+      await onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
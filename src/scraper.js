@@ -0,0 +1,403 @@
+import fs from 'fs/promises';
+import path from 'path';
+import puppeteer from 'puppeteer';
+import { OUTPUT_DIR, DOWNLOAD_TIMEOUT_MS, AUTH_POLL_INTERVAL_MS, PAGE_DELAY_MIN_MS, PAGE_DELAY_MAX_MS } from './config.js';
+import {
+  CHART_TYPES, DEFAULT_CHART, buildChartUrl, chartFileName, chartId, chartTitle, expectedCsvPattern, expectedColumns
+} from './charts.js';
+import { parseCSV } from './csv.js';
+import { checkChartQuality, saveQualityReport, quarantinePath, summarizeIssues } from './quality.js';
+import { FAILURE_KINDS, ScrapeError } from './errors.js';
+import {
+  HttpRejectedError, isSessionReady, captureToken, captureCookies, learnDownloadUrl, fetchCSV
+} from './http.js';
+import { log } from './logger.js';
+import { storedChartPaths } from './loads.js';
+import {
+  DOWNLOAD_BUTTON_SELECTOR, LOGIN_SELECTORS, isLoginUrl, loadCookies, saveCookies, isAuthenticated
+} from './session.js';
+import { randomDelay, sleep, parseAddress } from './utils.js';
+
+// Función para iniciar el navegador
+// Con userDataDir el perfil (y la sesión de Spotify) se conserva entre ejecuciones
+export async function launchBrowser({ headless = false, userDataDir = null } = {}) {
+  await log('Iniciando navegador...', 'START');
+  if (userDataDir) {
+    await log(`Usando perfil persistente en ${userDataDir}`, 'INFO');
+  }
+
+  return puppeteer.launch({
+    headless,
+    userDataDir: userDataDir || undefined,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-blink-features=AutomationControlled'
+    ]
+  });
+}
+
+// Función para conectar con un Chrome ya abierto con --remote-debugging-port
+// Reutiliza su sesión iniciada; al terminar hay que desconectarse, no cerrarlo
+export async function connectBrowser(address) {
+  const { host, port } = parseAddress(address);
+  await log(`Conectando con Chrome en ${host}:${port}...`, 'START');
+
+  try {
+    return await puppeteer.connect({ browserURL: `http://${host}:${port}`, defaultViewport: null });
+  } catch (error) {
+    throw new Error(`No se pudo conectar con Chrome en ${host}:${port}. ¿Lo iniciaste con "spotify-charts chrome"? (${error.message})`);
+  }
+}
+
+// Comprueba que hay una sesión de Spotify iniciada y, si no la hay, espera a que se inicie a mano
+// Continúa en cuanto detecta la sesión; falla si no se inicia antes de timeoutSeconds
+// Si se pasa una sesión HTTP, captura el token y las cookies tras el login
+export async function ensureAuthenticated(browser, { timeoutSeconds, cookiesFile = null, session = null }) {
+  if (cookiesFile) {
+    const loaded = await loadCookies(browser, cookiesFile);
+    if (loaded > 0) {
+      await log(`${loaded} cookies cargadas de ${cookiesFile}`, 'INFO');
+    }
+  }
+
+  await log('Comprobando la sesión de Spotify...', 'SEARCH');
+  const authPage = await browser.newPage();
+  if (session) {
+    captureToken(session, authPage);
+  }
+
+  try {
+    await authPage.goto(buildChartUrl(DEFAULT_CHART, 'global'), { waitUntil: 'networkidle2', timeout: 60000 });
+
+    if (await isAuthenticated(authPage)) {
+      await log('Sesión ya iniciada', 'SUCCESS');
+    } else {
+      await log(`No hay sesión iniciada. Inicia sesión en la ventana del navegador (máximo ${timeoutSeconds}s)...`, 'WAIT');
+      const deadline = Date.now() + timeoutSeconds * 1000;
+
+      while (!(await isAuthenticated(authPage))) {
+        if (Date.now() >= deadline) {
+          throw new ScrapeError(`No se inició sesión en Spotify en ${timeoutSeconds}s`, FAILURE_KINDS.AUTH);
+        }
+        await sleep(AUTH_POLL_INTERVAL_MS);
+      }
+      await log('Sesión iniciada', 'SUCCESS');
+    }
+
+    if (cookiesFile) {
+      const saved = await saveCookies(browser, cookiesFile);
+      await log(`${saved} cookies guardadas en ${cookiesFile}`, 'INFO');
+    }
+    if (session) {
+      await captureCookies(session, authPage);
+    }
+  } finally {
+    await authPage.close();
+  }
+
+  await log('Autenticación completada, iniciando descargas...', 'SUCCESS');
+}
+
+// Crea un contexto de navegador por worker (cada uno con su propia configuración de descargas)
+// El primero es el contexto por defecto; el resto reciben las cookies de la sesión iniciada
+export async function createWorkerContexts(browser, count) {
+  const defaultContext = browser.defaultBrowserContext();
+  const contexts = [defaultContext];
+  if (count <= 1) {
+    return contexts;
+  }
+
+  const cookies = await defaultContext.cookies();
+  for (let i = 1; i < count; i++) {
+    const context = await browser.createBrowserContext();
+    if (cookies.length > 0) {
+      await context.setCookie(...cookies);
+    }
+    contexts.push(context);
+  }
+  return contexts;
+}
+
+// Función para verificar si ya existe un archivo JSON con la fecha específica
+// Cuenta también los que loadToDatabase.js ya ha cargado y movido a data/archive
+export async function checkIfFileExists(chart, country, date) {
+  try {
+    const fileName = chartFileName(chart, country, date);
+
+    for (const filePath of storedChartPaths(fileName, date)) {
+      try {
+        await fs.access(filePath);
+        return true; // El archivo existe
+      } catch {
+        // No está en esta ruta, se prueba la siguiente
+      }
+    }
+    return false; // El archivo no existe
+  } catch (error) {
+    await log(`Error al verificar archivo para ${country}: ${error.message}`, 'WARNING');
+    return false;
+  }
+}
+
+// Comprueba que la navegación terminó en el chart pedido
+// Lanza ScrapeError de autenticación o de chart no encontrado en caso contrario
+function assertChartPage(page, response, chart, country) {
+  const finalUrl = page.url();
+
+  if (isLoginUrl(finalUrl)) {
+    throw new ScrapeError(`Spotify redirigió al login (${finalUrl})`, FAILURE_KINDS.AUTH);
+  }
+
+  if (response && response.status() === 404) {
+    throw new ScrapeError(`El chart no existe (HTTP 404 en ${finalUrl})`, FAILURE_KINDS.NOT_FOUND);
+  }
+
+  const chartPath = `${CHART_TYPES[chart.type].slug}-${country}-${chart.period}`;
+  if (!finalUrl.includes(chartPath)) {
+    throw new ScrapeError(`Spotify redirigió a ${finalUrl}, el chart no existe para esa fecha/país`, FAILURE_KINDS.NOT_FOUND);
+  }
+}
+
+// Espera a que Chrome termine la descarga usando los eventos CDP del dominio Browser
+// Devuelve el nombre sugerido del archivo descargado y la URL de la que se descargó
+function waitForDownload(client, timeout) {
+  return new Promise((resolve, reject) => {
+    let guid = null;
+    let suggestedFilename = null;
+    let url = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      client.off('Browser.downloadWillBegin', onBegin);
+      client.off('Browser.downloadProgress', onProgress);
+    };
+
+    const onBegin = event => {
+      guid = event.guid;
+      suggestedFilename = event.suggestedFilename;
+      url = event.url;
+    };
+
+    const onProgress = event => {
+      if (event.guid !== guid) {
+        return;
+      }
+      if (event.state === 'completed') {
+        cleanup();
+        resolve({ suggestedFilename, url });
+      } else if (event.state === 'canceled') {
+        cleanup();
+        reject(new ScrapeError('La descarga fue cancelada', FAILURE_KINDS.TRANSIENT));
+      }
+    };
+
+    const timer = setTimeout(() => {
+      cleanup();
+      const reason = guid ? 'no terminó' : 'no empezó';
+      reject(new ScrapeError(`La descarga ${reason} en ${timeout / 1000}s`, FAILURE_KINDS.TRANSIENT));
+    }, timeout);
+
+    client.on('Browser.downloadWillBegin', onBegin);
+    client.on('Browser.downloadProgress', onProgress);
+  });
+}
+
+// Descarga el CSV de un chart y país para una fecha concreta o 'latest'
+// browser puede ser el navegador o un contexto de navegador (ambos abren páginas)
+// Cada descarga usa su propia carpeta temporal para no mezclar archivos
+// Con una sesión HTTP, además captura las credenciales y la URL de descarga para reutilizarlas
+export async function downloadCSV(browser, chart, country, date = 'latest', { session = null } = {}) {
+  const page = await browser.newPage();
+  if (session) {
+    captureToken(session, page);
+  }
+  const downloadDir = await fs.mkdtemp(path.resolve(OUTPUT_DIR, 'temp', `${chartId(chart)}-${country}-`));
+
+  try {
+    const url = buildChartUrl(chart, country, date);
+    await log(`Navegando a ${url}`, 'INFO');
+
+    // Configurar descarga ANTES de navegar
+    const client = await page.target().createCDPSession();
+    await client.send('Browser.setDownloadBehavior', {
+      behavior: 'allow',
+      downloadPath: downloadDir,
+      browserContextId: page.browserContext().id,
+      eventsEnabled: true
+    });
+
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    assertChartPage(page, response, chart, country);
+
+    // Espera aleatoria para simular comportamiento humano
+    const waitTime = randomDelay(PAGE_DELAY_MIN_MS, PAGE_DELAY_MAX_MS);
+    await log(`Esperando ${waitTime / 1000} segundos...`, 'WAIT');
+    await sleep(waitTime);
+
+    // Buscar el botón de descarga por aria-labelledby con más tiempo
+    try {
+      await page.waitForSelector(DOWNLOAD_BUTTON_SELECTOR, { timeout: 20000 });
+      await log('Botón de descarga encontrado', 'SEARCH');
+    } catch (error) {
+      // Tomar screenshot para debug
+      const screenshotName = `debug_${chart.type}_${chart.period}_${country}_${date}.png`;
+      await page.screenshot({ path: path.join(OUTPUT_DIR, screenshotName) });
+      await log(`Screenshot guardado en data/${screenshotName}`, 'PHOTO');
+      await log(`No se encontró el botón de descarga para ${country}. Revisa el screenshot.`, 'ERROR');
+
+      // Sin botón puede ser que la sesión caducó o que Spotify cambió la página
+      if (await page.$(LOGIN_SELECTORS)) {
+        throw new ScrapeError('No se encontró el botón de descarga: la página pide iniciar sesión', FAILURE_KINDS.AUTH);
+      }
+      throw new ScrapeError('No se encontró el botón de descarga. Revisa el screenshot.', FAILURE_KINDS.LAYOUT_CHANGED);
+    }
+
+    // Empezar a escuchar antes del click para no perder el evento de inicio
+    const downloadDone = waitForDownload(client, DOWNLOAD_TIMEOUT_MS);
+    await page.click(DOWNLOAD_BUTTON_SELECTOR);
+    await log('Esperando a que termine la descarga...', 'WAIT');
+    const { suggestedFilename, url: downloadUrl } = await downloadDone;
+
+    // La carpeta es exclusiva de esta descarga, así que cualquier .csv completo es el nuestro
+    const files = await fs.readdir(downloadDir);
+    const csvFile = files.includes(suggestedFilename)
+      ? suggestedFilename
+      : files.find(f => f.endsWith('.csv'));
+
+    if (!csvFile) {
+      throw new ScrapeError('No se descargó el archivo CSV', FAILURE_KINDS.TRANSIENT);
+    }
+
+    await log(`Archivo descargado: ${csvFile}`, 'SUCCESS');
+
+    // Formato esperado: regional-XX-daily-YYYY-MM-DD.csv (o el tipo/periodo correspondiente)
+    const csvDateMatch = csvFile.match(expectedCsvPattern(chart, country));
+    if (!csvDateMatch) {
+      throw new ScrapeError(`El archivo descargado "${csvFile}" no corresponde a ${chartId(chart)} ${country}`, FAILURE_KINDS.LAYOUT_CHANGED);
+    }
+
+    const csvDate = csvDateMatch[1];
+    await log(`Fecha extraída del nombre del CSV: ${csvDate}`, 'INFO');
+
+    const csvContent = await fs.readFile(path.join(downloadDir, csvFile), 'utf-8');
+
+    if (session) {
+      await captureCookies(session, page);
+      if (learnDownloadUrl(session, downloadUrl, chart, country, [date, csvDate])) {
+        await log(`URL de descarga capturada, las siguientes descargas irán por HTTP: ${session.urlTemplate}`, 'INFO');
+      } else {
+        await log(`La descarga no usa una URL HTTP reutilizable (${downloadUrl}), se seguirá usando el navegador`, 'WARNING');
+      }
+    }
+
+    return { csvContent, csvDate, csvFileName: csvFile };
+
+  } finally {
+    await page.close();
+    // Limpiar la carpeta temporal (incluye descargas parciales .crdownload)
+    await fs.rm(downloadDir, { recursive: true, force: true });
+  }
+}
+
+// Campos numéricos de los CSV (los charts semanales usan weeks_on_chart)
+const NUMERIC_FIELDS = ['rank', 'peak_rank', 'days_on_chart', 'weeks_on_chart', 'streams'];
+
+// Normaliza las filas del CSV conservando solo las columnas que trae cada tipo de chart
+export function normalizeTracks(rows) {
+  return rows.map(row => {
+    const track = {};
+    for (const [field, value] of Object.entries(row)) {
+      if (field === 'previous_rank') {
+        track[field] = value ? Number(value) : null;
+      } else if (NUMERIC_FIELDS.includes(field)) {
+        track[field] = Number(value);
+      } else {
+        track[field] = value;
+      }
+    }
+    return track;
+  });
+}
+
+// Obtiene el CSV por HTTP si la sesión está lista y, si Spotify lo rechaza, con el navegador
+async function fetchChartCSV(browser, chart, country, date, session) {
+  if (isSessionReady(session)) {
+    try {
+      return await fetchCSV(session, chart, country, date);
+    } catch (error) {
+      if (!(error instanceof HttpRejectedError)) {
+        throw error;
+      }
+      await log(`${error.message}, se usará el navegador para ${country} (${date})`, 'WARNING');
+    }
+  }
+
+  return downloadCSV(browser, chart, country, date, { session });
+}
+
+// Descarga, normaliza y guarda el chart de un país para una fecha
+// Devuelve { skipped, country, date } con la fecha real del CSV
+export async function processCountry(browser, chart, country, date = 'latest', { checkExistence = false, session = null } = {}) {
+  await log(`Procesando ${chartId(chart)} ${country} para fecha ${date}`, 'DOWNLOAD');
+
+  // Descargar el CSV para obtener la fecha real
+  const { csvContent, csvDate } = await fetchChartCSV(browser, chart, country, date, session);
+
+  // Verificar si la fecha del CSV coincide con la fecha solicitada
+  if (date !== 'latest' && csvDate !== date) {
+    await log(`La fecha del CSV (${csvDate}) no coincide con la fecha solicitada (${date})`, 'WARNING');
+  }
+
+  // Verificar si ya existe archivo con esta fecha
+  if (checkExistence) {
+    const exists = await checkIfFileExists(chart, country, csvDate);
+    if (exists) {
+      await log(`⏭️  ${country.toUpperCase()} saltado - Ya existe archivo para la fecha ${csvDate}`, 'INFO');
+      return { skipped: true, country, date: csvDate };
+    }
+  }
+
+  // Falla si Spotify cambia las columnas del CSV
+  const rows = parseCSV(csvContent, { columns: expectedColumns(chart) });
+  const tracks = normalizeTracks(rows);
+
+  const result = {
+    title: chartTitle(chart),
+    chart: chart.type,
+    period: chart.period,
+    country: country.toUpperCase(),
+    date: csvDate,
+    total_tracks: tracks.length,
+    tracks
+  };
+
+  const fileName = chartFileName(chart, country, csvDate);
+
+  // Controles de calidad: si fallan, el chart va a cuarentena en lugar de a la carpeta de la fecha
+  const report = checkChartQuality(result, chart);
+  const reportPath = await saveQualityReport(report, fileName, csvDate);
+  if (report.warnings.length > 0) {
+    await log(`${country.toUpperCase()}: ${report.warnings.length} aviso(s) de calidad: ${summarizeIssues(report.warnings)}`, 'WARNING');
+  }
+  if (!report.passed) {
+    const quarantined = quarantinePath(fileName, csvDate);
+    await fs.mkdir(path.dirname(quarantined), { recursive: true });
+    await fs.writeFile(quarantined, JSON.stringify(result, null, 2));
+    throw new ScrapeError(
+      `El chart no pasa los controles de calidad (${summarizeIssues(report.errors)}). Guardado en ${quarantined}, informe en ${reportPath}`,
+      FAILURE_KINDS.INVALID_DATA
+    );
+  }
+
+  // Crear carpeta para la fecha si no existe
+  const dateFolderPath = path.join(OUTPUT_DIR, csvDate);
+  await fs.mkdir(dateFolderPath, { recursive: true });
+
+  const filePath = path.join(dateFolderPath, fileName);
+
+  await fs.writeFile(filePath, JSON.stringify(result, null, 2));
+  await log(`${country.toUpperCase()} completado - ${tracks.length} canciones guardadas en ${filePath}`, 'SUCCESS');
+
+  return { skipped: false, country, date: csvDate };
+}
@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from './logger.js';
+
+// Persistencia de la sesión de Spotify entre ejecuciones mediante un archivo de cookies
+
+// Selectores de la página de charts
+export const DOWNLOAD_BUTTON_SELECTOR = 'button[aria-labelledby="csv_download"]';
+export const LOGIN_SELECTORS = 'a[href*="accounts.spotify.com"], button[data-testid="login-button"]';
+
+// Función para detectar si una URL es la del login de Spotify
+export function isLoginUrl(url) {
+  return /accounts\.spotify\.com|\/login/.test(url);
+}
+
+// Función para cargar en el navegador las cookies guardadas (si existen)
+export async function loadCookies(browser, file) {
+  let cookies;
+  try {
+    cookies = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    await log(`No se pudieron leer las cookies de ${file}: ${error.message}`, 'WARNING');
+    return 0;
+  }
+
+  await browser.setCookie(...cookies);
+  return cookies.length;
+}
+
+// Función para guardar las cookies de Spotify del navegador
+// El archivo contiene credenciales, así que solo lo puede leer el usuario actual
+export async function saveCookies(browser, file) {
+  const cookies = (await browser.cookies())
+    .filter(cookie => cookie.domain.replace(/^\./, '').endsWith('spotify.com'));
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(cookies, null, 2), { mode: 0o600 });
+  return cookies.length;
+}
+
+// Indica si la página de charts muestra el contenido de un usuario autenticado
+// Con sesión iniciada aparece el botón de descarga del CSV y no hay enlaces de login
+export async function isAuthenticated(page) {
+  try {
+    if (isLoginUrl(page.url())) {
+      return false;
+    }
+    const downloadButton = await page.$(DOWNLOAD_BUTTON_SELECTOR);
+    const loginLink = await page.$(LOGIN_SELECTORS);
+    return Boolean(downloadButton) && !loginLink;
+  } catch {
+    // La página puede estar navegando (p.ej. volviendo del login)
+    return false;
+  }
+}
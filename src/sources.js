@@ -0,0 +1,186 @@
+import { OUTPUT_DIR, config } from './config.js';
+import { artistKey, splitArtistNames } from './artists.js';
+import { CHART_TYPES } from './charts.js';
+import { buildRowFilters, listChartFiles, matchesFilters, readChartFileRows, queryStorageRows } from './export.js';
+import { createStorage } from './storage/index.js';
+
+// Orígenes de datos de la API y de los análisis: los JSON descargados o un almacenamiento. Los dos
+// tienen la misma interfaz y devuelven filas con las columnas de la vista chart_rows (las mismas que
+// exporta "spotify-charts export"), ordenadas por fecha, país, chart y rank:
+//   name                                          nombre para los logs
+//   rows(filters)                                 todas las filas que pasan los filtros
+//   chart({ chart, country, date })               filas de un chart por rank, o null si no existe
+//   latestDate({ chart, country })                última fecha guardada de un chart (de cualquier país
+//                                                 si no se indica country), o null
+//   chartSizes(filters)                           charts guardados que pasan los filtros, con su número
+//                                                 de filas: [{ country, date, tracks }]
+//   trackHistory(uri, filters)                    filas de una canción (o álbum/artista) por su URI
+//   artistCharts(name, filters)                   filas de las canciones en las que aparece un artista
+//                                                 y sus puestos en los charts de artistas
+//   close()
+// filters: { from, to, countries, chart, period }, todos opcionales
+
+export const DATA_SOURCES = ['json', 'db'];
+
+// Orden de las filas en las respuestas, el mismo que usa la exportación desde la base de datos
+function compareRows(a, b) {
+  return a.date.localeCompare(b.date) ||
+    a.country.localeCompare(b.country) ||
+    a.chart_type.localeCompare(b.chart_type) ||
+    a.period.localeCompare(b.period) ||
+    a.rank - b.rank;
+}
+
+// Filtros que seleccionan un único chart
+function chartFilters({ chart, country, date }) {
+  return { chart: chart.type, period: chart.period, countries: [country], from: date, to: date };
+}
+
+// Indica si una fila corresponde al artista: canciones que lo acreditan o su puesto en un chart de artistas
+function isArtistRow(row, name) {
+  const target = artistKey(name);
+  if (row.uri && row.uri.startsWith(CHART_TYPES.artist.uriPrefix)) {
+    return artistKey(row.artist_names || '') === target;
+  }
+  if (row.uri && row.uri.startsWith(CHART_TYPES.regional.uriPrefix)) {
+    return splitArtistNames(row.artist_names).some(artist => artistKey(artist) === target);
+  }
+  return false;
+}
+
+// Origen de datos sobre los JSON descargados (data/<fecha>/ y data/archive/<fecha>/)
+// Lee los archivos en cada petición, así que siempre ve las descargas nuevas
+export function createJsonSource(dataDir) {
+  const selectFiles = async filters =>
+    (await listChartFiles(dataDir)).filter(entry => matchesFilters(entry, filters));
+
+  const selectRows = async (filters, predicate) => {
+    const rows = [];
+    for (const entry of await selectFiles(filters)) {
+      rows.push(...(await readChartFileRows(entry)).filter(predicate));
+    }
+    return rows.sort(compareRows);
+  };
+
+  return {
+    name: `JSON (${dataDir})`,
+
+    rows(filters = {}) {
+      return selectRows(filters, () => true);
+    },
+
+    async chart(key) {
+      const [entry] = await selectFiles(chartFilters(key));
+      return entry ? (await readChartFileRows(entry)).sort(compareRows) : null;
+    },
+
+    async latestDate({ chart, country }) {
+      const entries = await selectFiles({ chart: chart.type, period: chart.period, countries: country && [country] });
+      return entries.length > 0 ? entries[entries.length - 1].date : null;
+    },
+
+    async chartSizes(filters = {}) {
+      const sizes = [];
+      for (const entry of await selectFiles(filters)) {
+        sizes.push({ country: entry.country, date: entry.date, tracks: (await readChartFileRows(entry)).length });
+      }
+      return sizes;
+    },
+
+    trackHistory(uri, filters = {}) {
+      return selectRows(filters, row => row.uri === uri);
+    },
+
+    artistCharts(name, filters = {}) {
+      return selectRows(filters, row => isArtistRow(row, name));
+    },
+
+    async close() {}
+  };
+}
+
+// Origen de datos sobre un almacenamiento (src/storage/) ya conectado
+export function createStorageSource(storage) {
+  return {
+    name: storage.name,
+
+    rows(filters = {}) {
+      return queryStorageRows(storage, filters);
+    },
+
+    async chart(key) {
+      const rows = await queryStorageRows(storage, chartFilters(key));
+      return rows.length > 0 ? rows : null;
+    },
+
+    async latestDate({ chart, country }) {
+      const [row] = await storage.query(`
+        SELECT MAX(date) AS date
+        FROM chart_rows
+        WHERE chart_type = @chart AND period = @period ${country ? 'AND country = @country' : ''}
+      `, country ? { chart: chart.type, period: chart.period, country } : { chart: chart.type, period: chart.period });
+      return row?.date || null;
+    },
+
+    async chartSizes(filters = {}) {
+      const { conditions, params } = buildRowFilters(filters);
+      const rows = await storage.query(`
+        SELECT country, date, COUNT(*) AS tracks
+        FROM chart_rows
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY country, date
+        ORDER BY date, country
+      `, params);
+      return rows.map(row => ({ country: row.country, date: row.date, tracks: Number(row.tracks) }));
+    },
+
+    trackHistory(uri, filters = {}) {
+      return queryStorageRows(storage, filters, { conditions: ['uri = @uri'], params: { uri } });
+    },
+
+    // Las canciones se buscan en track_artists (artist_names ya separado) y los charts de artistas
+    // por la URI guardada en artists
+    artistCharts(name, filters = {}) {
+      return queryStorageRows(storage, filters, {
+        conditions: [`(
+          uri IN (
+            SELECT track_artists.track_uri
+            FROM track_artists
+            JOIN artists ON artists.artist_id = track_artists.artist_id
+            WHERE artists.name_key = @artist
+          )
+          OR uri IN (SELECT uri FROM artists WHERE name_key = @artist AND uri IS NOT NULL)
+        )`],
+        params: { artist: artistKey(name) }
+      });
+    },
+
+    close() {
+      return storage.close();
+    }
+  };
+}
+
+// Función para abrir el origen de datos elegido: json (archivos de outputDir) o db (el almacenamiento
+// driver, ya conectado)
+export async function openDataSource(source, driver = config.storage.driver) {
+  if (source === 'json') {
+    return createJsonSource(OUTPUT_DIR);
+  }
+
+  const storage = createStorage(config, driver);
+  await storage.connect();
+  return createStorageSource(storage);
+}
+
+// Función para validar las opciones --source y --storage de los comandos
+// Devuelve { source, driver } para openDataSource
+export function checkSourceOptions(values) {
+  if (!DATA_SOURCES.includes(values.source)) {
+    throw new Error(`El valor de --source "${values.source}" no es válido (usa ${DATA_SOURCES.join(', ')})`);
+  }
+  if (values.storage !== undefined && values.source !== 'db') {
+    throw new Error('--storage solo se puede usar con --source db');
+  }
+  return { source: values.source, driver: values.storage || config.storage.driver };
+}
@@ -0,0 +1,122 @@
+// Análisis de la expansión de cada canción entre países: en cuántos países está cada día, su rank
+// mediano, el primer país en el que apareció y el orden en que entró en los demás. También detecta
+// los "breakouts": canciones que han entrado en muchos países nuevos en los últimos días
+// Trabaja sobre las filas de un origen de datos (src/sources.js) de un solo tipo de chart
+
+// El chart global no es un mercado, así que no cuenta como país
+export const GLOBAL_COUNTRY = 'global';
+
+// Charts de canciones por país (los city son por ciudad y los de artistas y álbumes no son canciones)
+export const SPREAD_CHARTS = ['regional', 'viral'];
+
+export const DEFAULT_BREAKOUT_DAYS = 7;
+export const DEFAULT_BREAKOUT_MIN_COUNTRIES = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para desplazar una fecha YYYY-MM-DD un número de días
+export function shiftDate(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Mediana de una lista de números
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Indica si la fila es el primer día (o semana) de la canción en ese chart según Spotify
+// null si el chart no trae días ni semanas en el chart
+function isDebut(row) {
+  const onChart = row.days_on_chart ?? row.weeks_on_chart;
+  return Number.isInteger(onChart) ? onChart === 1 : null;
+}
+
+// Función para resumir una canción a partir de sus apariciones agrupadas
+function summarizeTrack(track) {
+  // Orden de entrada en los países: por fecha y, el mismo día, por mejor rank
+  const entries = [...track.entries.values()]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.rank - b.rank || a.country.localeCompare(b.country));
+  const enteredOn = new Map(entries.map(entry => [entry.country, entry.date]));
+
+  const days = [...track.days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, charts]) => ({
+      date,
+      countries: charts.length,
+      median_rank: median(charts.map(item => item.rank)),
+      best_rank: Math.min(...charts.map(item => item.rank)),
+      new_countries: charts.filter(item => enteredOn.get(item.country) === date).map(item => item.country).sort()
+    }));
+
+  return {
+    uri: track.uri,
+    track_name: track.track_name,
+    artist_names: track.artist_names,
+    first_country: entries[0].country,
+    first_date: entries[0].date,
+    markets: entries.length,
+    entries,
+    days
+  };
+}
+
+// Calcula la expansión de todas las canciones de las filas
+// entries es el orden de entrada en los países dentro de las fechas analizadas; debut indica si ese
+// día fue además su primer día en el chart del país (false: ya había estado antes de esas fechas)
+export function computeSpread(rows) {
+  const tracks = new Map();
+
+  for (const row of rows) {
+    if (!row.uri || row.country === GLOBAL_COUNTRY) {
+      continue;
+    }
+
+    let track = tracks.get(row.uri);
+    if (!track) {
+      track = { uri: row.uri, track_name: row.track_name, artist_names: row.artist_names, days: new Map(), entries: new Map() };
+      tracks.set(row.uri, track);
+    }
+
+    if (!track.days.has(row.date)) {
+      track.days.set(row.date, []);
+    }
+    track.days.get(row.date).push({ country: row.country, rank: row.rank });
+
+    const entry = track.entries.get(row.country);
+    if (!entry || row.date < entry.date) {
+      track.entries.set(row.country, { country: row.country, date: row.date, rank: row.rank, debut: isDebut(row) });
+    }
+  }
+
+  return [...tracks.values()]
+    .map(summarizeTrack)
+    .sort((a, b) => b.markets - a.markets || a.first_date.localeCompare(b.first_date));
+}
+
+// Canciones que han entrado en al menos minCountries países nuevos en los days días que terminan en date
+// Un país cuenta como nuevo si la canción aparece en él por primera vez en esos días y Spotify no indica
+// que ya hubiera estado antes en ese chart
+// rows deben cubrir al menos esos días; las filas de fuera de la ventana se ignoran
+export function findBreakouts(rows, { date, days = DEFAULT_BREAKOUT_DAYS, minCountries = DEFAULT_BREAKOUT_MIN_COUNTRIES }) {
+  const from = shiftDate(date, -(days - 1));
+  const spread = computeSpread(rows.filter(row => row.date >= from && row.date <= date));
+
+  return spread
+    .map(track => {
+      const entered = track.entries.filter(entry => entry.debut !== false);
+      const today = track.days.find(day => day.date === date);
+      return {
+        uri: track.uri,
+        track_name: track.track_name,
+        artist_names: track.artist_names,
+        new_countries: entered.length,
+        entered: entered.map(({ country, date: enteredDate, rank }) => ({ country, date: enteredDate, rank })),
+        countries_on_date: today ? today.countries : 0,
+        median_rank_on_date: today ? today.median_rank : null
+      };
+    })
+    .filter(track => track.new_countries >= minCountries)
+    .sort((a, b) => b.new_countries - a.new_countries || b.countries_on_date - a.countries_on_date);
+}
@@ -0,0 +1,33 @@
+import { createMssqlStorage } from './mssql/index.js';
+import { createSqliteStorage } from './sqlite.js';
+import { createPostgresStorage } from './postgres.js';
+
+// Almacenamientos de los charts. Todos tienen la misma interfaz:
+//   name                               nombre para los logs
+//   connect({ concurrency })           abre la conexión; devuelve { created } si creó la base de datos
+//   ensureSchema()                     aplica las migraciones pendientes; devuelve { applied, version }
+//   upsertChartFile({ chart, country, date, totalTracks, tracks })
+//                                      guarda un chart completo en una transacción (todo o nada);
+//                                      recargar el mismo archivo deja los mismos datos
+//   query(sql, params)                 ejecuta una consulta con parámetros @nombre y devuelve las filas
+//                                      (las fechas como texto YYYY-MM-DD)
+//   limitClause(count)                 cláusula que, tras el ORDER BY, deja solo las primeras count filas
+//   close()                            cierra la conexión
+// Todos usan el mismo modelo normalizado (charts, chart_entries, tracks, albums, artists,
+// track_artists y la vista chart_rows)
+
+export const STORAGE_DRIVERS = ['mssql', 'sqlite', 'postgres'];
+
+// Función para crear el almacenamiento elegido en la configuración (storage.driver)
+export function createStorage(config, driver = config.storage.driver) {
+  switch (driver) {
+    case 'mssql':
+      return createMssqlStorage(config.db);
+    case 'sqlite':
+      return createSqliteStorage(config.storage.sqliteFile);
+    case 'postgres':
+      return createPostgresStorage(config.storage.postgresUrl);
+    default:
+      throw new Error(`Almacenamiento "${driver}" no válido. Usa uno de: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
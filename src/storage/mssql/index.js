@@ -0,0 +1,208 @@
+import sql from 'mssql';
+import { artistKey } from '../../artists.js';
+import { ensureDatabase, migrate, getSchemaVersion } from './migrations.js';
+import { TABLES, ENSURE_CHART_SQL, buildTrackArtistsTable, upsertItemsSql, replaceTrackArtistsSql } from './schema.js';
+
+// Almacenamiento en SQL Server (ver src/storage/index.js para la interfaz)
+
+// Función para construir la tabla temporal con todas las filas de un archivo para request.bulk
+function buildStagingTable(totalTracks, tracks) {
+  const table = new sql.Table('#staging');
+  table.create = true;
+  table.columns.add('rank', sql.Int, { nullable: false });
+  table.columns.add('total_tracks', sql.Int, { nullable: true });
+  table.columns.add('uri', sql.NVarChar(255), { nullable: true });
+  table.columns.add('artist_names', sql.NVarChar(1000), { nullable: true });
+  table.columns.add('track_name', sql.NVarChar(500), { nullable: true });
+  table.columns.add('source', sql.NVarChar(255), { nullable: true });
+  table.columns.add('peak_rank', sql.Int, { nullable: true });
+  table.columns.add('previous_rank', sql.Int, { nullable: true });
+  table.columns.add('days_on_chart', sql.Int, { nullable: true });
+  table.columns.add('weeks_on_chart', sql.Int, { nullable: true });
+  table.columns.add('streams', sql.BigInt, { nullable: true });
+  // Clave del artista en los charts de artistas (ver artistKey en src/artists.js)
+  table.columns.add('artist_key', sql.NVarChar(255), { nullable: true });
+
+  for (const track of tracks) {
+    const isArtist = track.uri?.startsWith('spotify:artist:') && track.artist_names;
+    table.rows.add(
+      track.rank,
+      totalTracks,
+      track.uri,
+      track.artist_names,
+      track.track_name || null,
+      track.source || null,
+      track.peak_rank || null,
+      track.previous_rank || null,
+      track.days_on_chart ?? null,
+      track.weeks_on_chart ?? null,
+      track.streams ?? null,
+      isArtist ? artistKey(track.artist_names) : null
+    );
+  }
+
+  return table;
+}
+
+// Función para cargar todos los tracks de un archivo en una única transacción
+// Las filas se envían de una vez con bulk a tablas temporales y desde ahí se guardan
+// el chart, las canciones y sus artistas, y las entradas del chart con un MERGE sobre
+// las del mismo chart y fecha: o se guardan todas las filas del día o ninguna,
+// y al recargar las filas del día se reemplazan
+async function loadChartFile(pool, { chart, country, date, totalTracks, tracks }) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    const staging = buildStagingTable(totalTracks, tracks);
+    await new sql.Request(transaction).bulk(staging);
+
+    const trackArtists = buildTrackArtistsTable(tracks);
+    await new sql.Request(transaction).bulk(trackArtists);
+
+    // Las entradas del día que ya no vienen en el archivo se eliminan
+    const request = new sql.Request(transaction);
+    request.input('chartType', sql.VarChar(20), chart.type);
+    request.input('period', sql.VarChar(10), chart.period);
+    request.input('country', sql.VarChar(20), country);
+    request.input('date', sql.Date, new Date(date));
+    await request.query(`
+      ${ENSURE_CHART_SQL}
+
+      ${upsertItemsSql('#staging')}
+
+      ${replaceTrackArtistsSql('#staging_artists')}
+
+      WITH target AS (
+        SELECT * FROM ${TABLES.CHART_ENTRIES} WITH (HOLDLOCK)
+        WHERE chart_id = @chartId AND date = @date
+      )
+      MERGE target
+      USING #staging AS source
+      ON target.rank = source.rank
+      WHEN MATCHED THEN UPDATE SET
+        uri = source.uri,
+        total_tracks = source.total_tracks,
+        source = source.source,
+        peak_rank = source.peak_rank,
+        previous_rank = source.previous_rank,
+        days_on_chart = source.days_on_chart,
+        weeks_on_chart = source.weeks_on_chart,
+        streams = source.streams,
+        loaded_at = SYSUTCDATETIME()
+      WHEN NOT MATCHED BY TARGET THEN INSERT (
+        chart_id, 
+        date, 
+        rank, 
+        uri, 
+        total_tracks, 
+        source, 
+        peak_rank, 
+        previous_rank, 
+        days_on_chart, 
+        weeks_on_chart, 
+        streams
+      ) VALUES (
+        @chartId, 
+        @date, 
+        source.rank, 
+        source.uri, 
+        source.total_tracks, 
+        source.source, 
+        source.peak_rank, 
+        source.previous_rank, 
+        source.days_on_chart, 
+        source.weeks_on_chart, 
+        source.streams
+      )
+      WHEN NOT MATCHED BY SOURCE THEN DELETE;
+
+      DROP TABLE #staging;
+      DROP TABLE #staging_artists;
+    `);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback().catch(() => {});
+    throw error;
+  }
+}
+
+
+// Las columnas DATE se devuelven como texto YYYY-MM-DD, igual que en el resto de almacenamientos
+function normalizeRows(result) {
+  const dateColumns = Object.values(result.recordset.columns || {})
+    .filter(column => column.type === sql.Date)
+    .map(column => column.name);
+
+  return result.recordset.map(row => {
+    for (const column of dateColumns) {
+      if (row[column] instanceof Date) {
+        row[column] = row[column].toISOString().slice(0, 10);
+      }
+    }
+    return row;
+  });
+}
+
+// Crea el almacenamiento de SQL Server a partir de la configuración db
+export function createMssqlStorage(db) {
+  const connectionConfig = {
+    user: db.user,
+    password: db.password,
+    server: db.server,
+    port: db.port,
+    database: db.database,
+    options: {
+      encrypt: db.encrypt,
+      trustServerCertificate: db.trustServerCertificate,
+      enableArithAbort: true
+    }
+  };
+  let pool = null;
+
+  return {
+    name: 'SQL Server',
+
+    async connect({ concurrency = 1 } = {}) {
+      if (!db.password) {
+        throw new Error('Falta la contraseña de la base de datos: define DB_PASSWORD en el archivo .env o en el entorno');
+      }
+      // Crear la base de datos si no existe (p.ej. con un volumen nuevo de docker-compose)
+      const created = await ensureDatabase(connectionConfig);
+      // Una conexión por cada archivo que se carga a la vez
+      pool = new sql.ConnectionPool({ ...connectionConfig, pool: { max: Math.max(concurrency, 10) } });
+      await pool.connect();
+      return { created };
+    },
+
+    async ensureSchema() {
+      const applied = await migrate(pool);
+      return { applied, version: await getSchemaVersion(pool) };
+    },
+
+    async upsertChartFile(file) {
+      await loadChartFile(pool, file);
+    },
+
+    async query(text, params = {}) {
+      const request = pool.request();
+      for (const [name, value] of Object.entries(params)) {
+        request.input(name, value);
+      }
+      return normalizeRows(await request.query(text));
+    },
+
+    // SQL Server no tiene LIMIT
+    limitClause(count) {
+      return `OFFSET 0 ROWS FETCH NEXT ${count} ROWS ONLY`;
+    },
+
+    async close() {
+      if (pool) {
+        await pool.close();
+        pool = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,381 @@
+import sql from 'mssql';
+import { CHART_TYPES, PERIODS } from '../../charts.js';
+import { TABLES, buildTrackArtistsTable, upsertTracksAndAlbumsSql } from './schema.js';
+import { mergeArtistsByKey } from '../relational.js';
+
+// Migraciones versionadas de la base de datos de charts (SQL Server)
+// Cada migración se aplica una sola vez, en orden y en su propia transacción,
+// y queda anotada en la tabla schema_version
+
+export const SCHEMA_VERSION_TABLE = 'schema_version';
+
+// Tabla única con las filas de todos los charts, con clave (chart, periodo, país, fecha, rank)
+// Desde la migración 3 es una vista sobre el modelo normalizado (schema.js)
+export const CHART_ROWS_TABLE = 'chart_rows';
+
+// Columnas de las tablas antiguas spotify_data_* que se copian a chart_rows
+const LEGACY_COLUMNS = [
+  'total_tracks', 'uri', 'artist_names', 'track_name', 'source',
+  'peak_rank', 'previous_rank', 'days_on_chart', 'weeks_on_chart'
+];
+
+const LEGACY_TABLE_REGEX = new RegExp(
+  `^spotify_data_(?:(${Object.keys(CHART_TYPES).join('|')})_(${PERIODS.join('|')})_)?([a-z0-9_]+)$`,
+  'i'
+);
+
+// Función para extraer chart y país del nombre de una tabla antigua
+// spotify_data_es es el chart regional diario; spotify_data_viral_weekly_es incluye tipo y periodo
+export function parseLegacyTableName(tableName) {
+  const match = tableName.match(LEGACY_TABLE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    chart: { type: (match[1] || 'regional').toLowerCase(), period: (match[2] || 'daily').toLowerCase() },
+    country: match[3].toLowerCase()
+  };
+}
+
+// Función para copiar a chart_rows las filas de las tablas por país de versiones anteriores
+// Las tablas antiguas no se borran
+async function importLegacyTables(transaction) {
+  const tables = await new sql.Request(transaction).query(`
+    SELECT name FROM sys.tables WHERE name LIKE 'spotify[_]data[_]%'
+  `);
+
+  for (const { name } of tables.recordset) {
+    const parsed = parseLegacyTableName(name);
+    if (!parsed) {
+      continue;
+    }
+
+    const columnsRequest = new sql.Request(transaction);
+    columnsRequest.input('table', sql.NVarChar, name);
+    const columns = await columnsRequest.query(`
+      SELECT name FROM sys.columns WHERE object_id = OBJECT_ID(@table)
+    `);
+    const existing = new Set(columns.recordset.map(column => column.name));
+
+    // Las columnas que no existen en la tabla antigua se copian como NULL
+    const select = LEGACY_COLUMNS.map(column => existing.has(column) ? `legacy.${column}` : 'NULL');
+    const streams = existing.has('streams_today') ? 'legacy.streams_today' : 'NULL';
+
+    const request = new sql.Request(transaction);
+    request.input('chartType', sql.VarChar(20), parsed.chart.type);
+    request.input('period', sql.VarChar(10), parsed.chart.period);
+    request.input('country', sql.VarChar(20), parsed.country);
+    await request.query(`
+      INSERT INTO ${CHART_ROWS_TABLE} (chart_type, period, country, date, rank, ${LEGACY_COLUMNS.join(', ')}, streams)
+      SELECT @chartType, @period, @country, legacy.date, legacy.rank, ${select.join(', ')}, ${streams}
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY date, rank ORDER BY (SELECT NULL)) AS row_number
+        FROM [${name}]
+      ) AS legacy
+      WHERE legacy.row_number = 1
+        AND NOT EXISTS (
+          SELECT 1 FROM ${CHART_ROWS_TABLE} AS existing
+          WHERE existing.chart_type = @chartType AND existing.period = @period
+            AND existing.country = @country AND existing.date = legacy.date AND existing.rank = legacy.rank
+        )
+    `);
+  }
+}
+
+// Función para crear el modelo normalizado y pasar a él las filas de chart_rows
+// chart_rows se sustituye por una vista con las mismas columnas
+async function normalizeChartRows(transaction) {
+  await new sql.Request(transaction).query(`
+    CREATE TABLE ${TABLES.CHARTS} (
+      chart_id INT IDENTITY(1, 1) NOT NULL CONSTRAINT pk_charts PRIMARY KEY,
+      chart_type VARCHAR(20) NOT NULL,
+      period VARCHAR(10) NOT NULL,
+      country VARCHAR(20) NOT NULL,
+      CONSTRAINT ux_charts_type_period_country UNIQUE (chart_type, period, country)
+    );
+
+    CREATE TABLE ${TABLES.TRACKS} (
+      uri NVARCHAR(255) NOT NULL CONSTRAINT pk_tracks PRIMARY KEY,
+      track_name NVARCHAR(500) NULL,
+      artist_names NVARCHAR(1000) NULL,
+      updated_at DATETIME2 NOT NULL CONSTRAINT df_tracks_updated_at DEFAULT SYSUTCDATETIME()
+    );
+
+    CREATE TABLE ${TABLES.ALBUMS} (
+      uri NVARCHAR(255) NOT NULL CONSTRAINT pk_albums PRIMARY KEY,
+      album_name NVARCHAR(500) NULL,
+      artist_names NVARCHAR(1000) NULL,
+      updated_at DATETIME2 NOT NULL CONSTRAINT df_albums_updated_at DEFAULT SYSUTCDATETIME()
+    );
+
+    CREATE TABLE ${TABLES.ARTISTS} (
+      artist_id INT IDENTITY(1, 1) NOT NULL CONSTRAINT pk_artists PRIMARY KEY,
+      name NVARCHAR(255) NOT NULL CONSTRAINT ux_artists_name UNIQUE,
+      uri NVARCHAR(255) NULL
+    );
+
+    CREATE TABLE ${TABLES.TRACK_ARTISTS} (
+      track_uri NVARCHAR(255) NOT NULL CONSTRAINT fk_track_artists_track REFERENCES ${TABLES.TRACKS} (uri),
+      artist_id INT NOT NULL CONSTRAINT fk_track_artists_artist REFERENCES ${TABLES.ARTISTS} (artist_id),
+      position INT NOT NULL,
+      CONSTRAINT pk_track_artists PRIMARY KEY (track_uri, artist_id)
+    );
+    CREATE INDEX ix_track_artists_artist ON ${TABLES.TRACK_ARTISTS} (artist_id);
+
+    CREATE TABLE ${TABLES.CHART_ENTRIES} (
+      chart_id INT NOT NULL CONSTRAINT fk_chart_entries_chart REFERENCES ${TABLES.CHARTS} (chart_id),
+      date DATE NOT NULL,
+      rank INT NOT NULL,
+      uri NVARCHAR(255) NULL,
+      total_tracks INT NULL,
+      source NVARCHAR(255) NULL,
+      peak_rank INT NULL,
+      previous_rank INT NULL,
+      days_on_chart INT NULL,
+      weeks_on_chart INT NULL,
+      streams BIGINT NULL,
+      loaded_at DATETIME2 NOT NULL CONSTRAINT df_chart_entries_loaded_at DEFAULT SYSUTCDATETIME(),
+      CONSTRAINT pk_chart_entries PRIMARY KEY (chart_id, date, rank)
+    );
+    CREATE INDEX ix_chart_entries_uri ON ${TABLES.CHART_ENTRIES} (uri);
+    CREATE INDEX ix_chart_entries_date ON ${TABLES.CHART_ENTRIES} (date);
+
+    INSERT INTO ${TABLES.CHARTS} (chart_type, period, country)
+    SELECT DISTINCT chart_type, period, country FROM ${CHART_ROWS_TABLE};
+
+    INSERT INTO ${TABLES.CHART_ENTRIES} (
+      chart_id, date, rank, uri, total_tracks, source, peak_rank, previous_rank,
+      days_on_chart, weeks_on_chart, streams, loaded_at
+    )
+    SELECT
+      chart.chart_id, legacy.date, legacy.rank, legacy.uri, legacy.total_tracks, legacy.source, legacy.peak_rank, legacy.previous_rank,
+      legacy.days_on_chart, legacy.weeks_on_chart, legacy.streams, legacy.loaded_at
+    FROM ${CHART_ROWS_TABLE} AS legacy
+    JOIN ${TABLES.CHARTS} AS chart
+      ON chart.chart_type = legacy.chart_type AND chart.period = legacy.period AND chart.country = legacy.country;
+
+    -- Nombres de cada URI según su aparición más reciente
+    SELECT uri, track_name, artist_names
+    INTO #legacy_items
+    FROM (
+      SELECT uri, track_name, artist_names,
+        ROW_NUMBER() OVER (PARTITION BY uri ORDER BY date DESC, loaded_at DESC) AS row_number
+      FROM ${CHART_ROWS_TABLE}
+      WHERE uri IS NOT NULL
+    ) AS latest
+    WHERE row_number = 1;
+
+    ${upsertTracksAndAlbumsSql('#legacy_items')}
+
+    -- En los charts de artistas artist_names es el nombre del artista de la URI
+    -- (los artistas se guardan por nombre: name_key no existe hasta la migración 4)
+    MERGE ${TABLES.ARTISTS} WITH (HOLDLOCK) AS target
+    USING (
+      SELECT artist_names AS name, MAX(uri) AS uri FROM #legacy_items
+      WHERE uri LIKE 'spotify:artist:%' AND artist_names IS NOT NULL
+      GROUP BY artist_names
+    ) AS source
+    ON target.name = source.name
+    WHEN MATCHED THEN UPDATE SET uri = source.uri
+    WHEN NOT MATCHED THEN INSERT (name, uri) VALUES (source.name, source.uri);
+
+    DROP TABLE #legacy_items;
+  `);
+
+  // Los artistas de cada canción se separan en JavaScript (ver src/artists.js)
+  const tracks = await new sql.Request(transaction).query(`
+    SELECT uri, artist_names FROM ${TABLES.TRACKS}
+  `);
+  const trackArtists = buildTrackArtistsTable(tracks.recordset, '#legacy_track_artists');
+  if (trackArtists.rows.length > 0) {
+    await new sql.Request(transaction).bulk(trackArtists);
+    await new sql.Request(transaction).query(`
+      INSERT INTO ${TABLES.ARTISTS} (name)
+      SELECT DISTINCT source.name FROM #legacy_track_artists AS source
+      WHERE NOT EXISTS (SELECT 1 FROM ${TABLES.ARTISTS} AS existing WITH (UPDLOCK, HOLDLOCK) WHERE existing.name = source.name);
+
+      INSERT INTO ${TABLES.TRACK_ARTISTS} (track_uri, artist_id, position)
+      SELECT source.uri, artist.artist_id, source.position
+      FROM #legacy_track_artists AS source
+      JOIN ${TABLES.ARTISTS} AS artist ON artist.name = source.name;
+
+      DROP TABLE #legacy_track_artists;
+    `);
+  }
+
+  await new sql.Request(transaction).query(`DROP TABLE ${CHART_ROWS_TABLE};`);
+
+  // CREATE VIEW tiene que ir solo en su lote
+  await new sql.Request(transaction).query(`
+    CREATE VIEW ${CHART_ROWS_TABLE} AS
+    SELECT
+      chart.chart_type,
+      chart.period,
+      chart.country,
+      entry.date,
+      entry.rank,
+      entry.total_tracks,
+      entry.uri,
+      COALESCE(track.artist_names, album.artist_names, artist.name) AS artist_names,
+      COALESCE(track.track_name, album.album_name) AS track_name,
+      entry.source,
+      entry.peak_rank,
+      entry.previous_rank,
+      entry.days_on_chart,
+      entry.weeks_on_chart,
+      entry.streams,
+      entry.loaded_at
+    FROM ${TABLES.CHART_ENTRIES} AS entry
+    JOIN ${TABLES.CHARTS} AS chart ON chart.chart_id = entry.chart_id
+    LEFT JOIN ${TABLES.TRACKS} AS track ON track.uri = entry.uri
+    LEFT JOIN ${TABLES.ALBUMS} AS album ON album.uri = entry.uri
+    OUTER APPLY (
+      SELECT TOP 1 name FROM ${TABLES.ARTISTS} WHERE ${TABLES.ARTISTS}.uri = entry.uri
+    ) AS artist;
+  `);
+}
+
+// Función para identificar a los artistas por el nombre sin distinguir mayúsculas (artists.name_key),
+// igual que en SQLite y PostgreSQL y sin depender de la intercalación del servidor
+async function addArtistKeys(transaction) {
+  await new sql.Request(transaction).query(`
+    ALTER TABLE ${TABLES.ARTISTS} ADD name_key NVARCHAR(255) NULL;
+  `);
+
+  await mergeArtistsByKey(async (text, params = {}) => {
+    const request = new sql.Request(transaction);
+    for (const [name, value] of Object.entries(params)) {
+      request.input(name, value);
+    }
+    return (await request.query(text)).recordset ?? [];
+  });
+
+  await new sql.Request(transaction).query(`
+    CREATE UNIQUE INDEX ux_artists_name_key ON ${TABLES.ARTISTS} (name_key);
+  `);
+}
+
+// Lista de migraciones: version, descripción y up(transaction)
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Tabla chart_rows con las filas de todos los charts y países',
+    up: async transaction => {
+      await new sql.Request(transaction).query(`
+        CREATE TABLE ${CHART_ROWS_TABLE} (
+          chart_type VARCHAR(20) NOT NULL,
+          period VARCHAR(10) NOT NULL,
+          country VARCHAR(20) NOT NULL,
+          date DATE NOT NULL,
+          rank INT NOT NULL,
+          total_tracks INT NULL,
+          uri NVARCHAR(255) NULL,
+          artist_names NVARCHAR(1000) NULL,
+          track_name NVARCHAR(500) NULL,
+          source NVARCHAR(255) NULL,
+          peak_rank INT NULL,
+          previous_rank INT NULL,
+          days_on_chart INT NULL,
+          weeks_on_chart INT NULL,
+          streams BIGINT NULL,
+          loaded_at DATETIME2 NOT NULL CONSTRAINT df_chart_rows_loaded_at DEFAULT SYSUTCDATETIME(),
+          CONSTRAINT pk_chart_rows PRIMARY KEY (chart_type, period, country, date, rank)
+        );
+
+        CREATE INDEX ix_chart_rows_uri ON ${CHART_ROWS_TABLE} (uri);
+        CREATE INDEX ix_chart_rows_country_date ON ${CHART_ROWS_TABLE} (country, date);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Copiar las tablas antiguas spotify_data_* a chart_rows',
+    up: importLegacyTables
+  },
+  {
+    version: 3,
+    description: 'Modelo normalizado: charts, chart_entries, tracks, albums, artists y track_artists',
+    up: normalizeChartRows
+  },
+  {
+    version: 4,
+    description: 'Artistas identificados por el nombre sin distinguir mayúsculas (artists.name_key)',
+    up: addArtistKeys
+  }
+];
+
+// Función para crear la base de datos si no existe (conectando a master)
+export async function ensureDatabase(config) {
+  const pool = new sql.ConnectionPool({ ...config, database: 'master' });
+  await pool.connect();
+
+  try {
+    const request = pool.request();
+    request.input('name', sql.NVarChar, config.database);
+    const result = await request.query(`
+      IF DB_ID(@name) IS NULL
+      BEGIN
+        DECLARE @statement NVARCHAR(300) = N'CREATE DATABASE ' + QUOTENAME(@name);
+        EXEC(@statement);
+        SELECT CAST(1 AS BIT) AS created;
+      END
+      ELSE
+        SELECT CAST(0 AS BIT) AS created;
+    `);
+    return result.recordset[0].created;
+  } finally {
+    await pool.close();
+  }
+}
+
+// Versión actual del esquema (0 si no se ha aplicado ninguna migración)
+export async function getSchemaVersion(pool) {
+  const result = await pool.request().query(`
+    IF OBJECT_ID('${SCHEMA_VERSION_TABLE}') IS NULL
+      SELECT 0 AS version;
+    ELSE
+      SELECT ISNULL(MAX(version), 0) AS version FROM ${SCHEMA_VERSION_TABLE};
+  `);
+  return result.recordset[0].version;
+}
+
+// Función para aplicar las migraciones pendientes
+// Devuelve las migraciones aplicadas en esta ejecución
+export async function migrate(pool, migrations = MIGRATIONS) {
+  await pool.request().query(`
+    IF OBJECT_ID('${SCHEMA_VERSION_TABLE}') IS NULL
+      CREATE TABLE ${SCHEMA_VERSION_TABLE} (
+        version INT NOT NULL PRIMARY KEY,
+        description NVARCHAR(255) NOT NULL,
+        applied_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+      );
+  `);
+
+  const applied = [];
+  const current = await getSchemaVersion(pool);
+
+  for (const migration of migrations.filter(m => m.version > current)) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    try {
+      await migration.up(transaction);
+
+      const request = new sql.Request(transaction);
+      request.input('version', sql.Int, migration.version);
+      request.input('description', sql.NVarChar(255), migration.description);
+      await request.query(`
+        INSERT INTO ${SCHEMA_VERSION_TABLE} (version, description) VALUES (@version, @description)
+      `);
+
+      await transaction.commit();
+      applied.push(migration);
+    } catch (error) {
+      await transaction.rollback().catch(() => {});
+      throw new Error(`Falló la migración ${migration.version} (${migration.description}): ${error.message}`);
+    }
+  }
+
+  return applied;
+}
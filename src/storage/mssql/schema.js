@@ -0,0 +1,123 @@
+import sql from 'mssql';
+import { artistKey, splitArtistNames } from '../../artists.js';
+
+// Modelo relacional de los charts en SQL Server
+//   charts         dimensión de chart: tipo, periodo y país
+//   chart_entries  una fila por chart, fecha y rank (los hechos: streams, peak_rank...)
+//   tracks         canciones por URI (spotify:track:)
+//   albums         álbumes por URI (charts de álbumes)
+//   artists        artistas por nombre, con su URI si aparecen en un chart de artistas
+//   track_artists  artistas de cada canción, en el orden de artist_names
+// Las tablas se crean en la migración 3 (migrations.js)
+
+export const TABLES = {
+  CHARTS: 'charts',
+  CHART_ENTRIES: 'chart_entries',
+  TRACKS: 'tracks',
+  ALBUMS: 'albums',
+  ARTISTS: 'artists',
+  TRACK_ARTISTS: 'track_artists'
+};
+
+// Función para construir la tabla temporal de artistas de cada canción para request.bulk
+// rows son filas con uri y artist_names; solo se tienen en cuenta las canciones
+export function buildTrackArtistsTable(rows, name = '#staging_artists') {
+  const table = new sql.Table(name);
+  table.create = true;
+  table.columns.add('uri', sql.NVarChar(255), { nullable: false });
+  table.columns.add('position', sql.Int, { nullable: false });
+  table.columns.add('name', sql.NVarChar(255), { nullable: false });
+  table.columns.add('name_key', sql.NVarChar(255), { nullable: false });
+
+  for (const row of rows) {
+    if (!row.uri || !row.uri.startsWith('spotify:track:')) {
+      continue;
+    }
+    splitArtistNames(row.artist_names).forEach((artist, index) => {
+      table.rows.add(row.uri, index + 1, artist, artistKey(artist));
+    });
+  }
+
+  return table;
+}
+
+// SQL para guardar las canciones y álbumes de una tabla con uri, track_name y artist_names
+// (una fila por URI). Los nombres se actualizan con los del último chart cargado
+export function upsertTracksAndAlbumsSql(source) {
+  return `
+    MERGE ${TABLES.TRACKS} WITH (HOLDLOCK) AS target
+    USING (SELECT uri, track_name, artist_names FROM ${source} WHERE uri LIKE 'spotify:track:%') AS source
+    ON target.uri = source.uri
+    WHEN MATCHED THEN UPDATE SET
+      track_name = source.track_name,
+      artist_names = source.artist_names,
+      updated_at = SYSUTCDATETIME()
+    WHEN NOT MATCHED THEN INSERT (uri, track_name, artist_names)
+      VALUES (source.uri, source.track_name, source.artist_names);
+
+    MERGE ${TABLES.ALBUMS} WITH (HOLDLOCK) AS target
+    USING (SELECT uri, track_name, artist_names FROM ${source} WHERE uri LIKE 'spotify:album:%') AS source
+    ON target.uri = source.uri
+    WHEN MATCHED THEN UPDATE SET
+      album_name = source.track_name,
+      artist_names = source.artist_names,
+      updated_at = SYSUTCDATETIME()
+    WHEN NOT MATCHED THEN INSERT (uri, album_name, artist_names)
+      VALUES (source.uri, source.track_name, source.artist_names);
+  `;
+}
+
+// SQL para guardar las canciones, álbumes y artistas de una tabla con uri, track_name, artist_names y
+// artist_key (artistKey de artist_names en los charts de artistas, ver buildStagingTable en index.js)
+// (una fila por URI). Los nombres se actualizan con los del último chart cargado; los de los artistas
+// se conservan si ya existían con otras mayúsculas
+export function upsertItemsSql(source) {
+  return `
+    ${upsertTracksAndAlbumsSql(source)}
+
+    -- En los charts de artistas artist_names es el nombre del artista de la URI
+    MERGE ${TABLES.ARTISTS} WITH (HOLDLOCK) AS target
+    USING (
+      SELECT artist_key AS name_key, MIN(artist_names) AS name, MAX(uri) AS uri FROM ${source}
+      WHERE uri LIKE 'spotify:artist:%' AND artist_key IS NOT NULL
+      GROUP BY artist_key
+    ) AS source
+    ON target.name_key = source.name_key
+    WHEN MATCHED THEN UPDATE SET uri = source.uri
+    WHEN NOT MATCHED THEN INSERT (name, name_key, uri) VALUES (source.name, source.name_key, source.uri);
+  `;
+}
+
+// SQL para sustituir los artistas de las canciones de una tabla con uri, position, name y name_key
+// (la que construye buildTrackArtistsTable)
+export function replaceTrackArtistsSql(source) {
+  return `
+    INSERT INTO ${TABLES.ARTISTS} (name, name_key)
+    SELECT MIN(source.name), source.name_key FROM ${source} AS source
+    WHERE NOT EXISTS (
+      SELECT 1 FROM ${TABLES.ARTISTS} AS existing WITH (UPDLOCK, HOLDLOCK) WHERE existing.name_key = source.name_key
+    )
+    GROUP BY source.name_key;
+
+    DELETE FROM ${TABLES.TRACK_ARTISTS}
+    WHERE track_uri IN (SELECT DISTINCT uri FROM ${source});
+
+    INSERT INTO ${TABLES.TRACK_ARTISTS} (track_uri, artist_id, position)
+    SELECT source.uri, artist.artist_id, source.position
+    FROM ${source} AS source
+    JOIN ${TABLES.ARTISTS} AS artist ON artist.name_key = source.name_key;
+  `;
+}
+
+// SQL para obtener (creándolo si hace falta) el chart_id de @chartType, @period y @country en @chartId
+export const ENSURE_CHART_SQL = `
+  DECLARE @chartId INT = (
+    SELECT chart_id FROM ${TABLES.CHARTS} WITH (UPDLOCK, HOLDLOCK)
+    WHERE chart_type = @chartType AND period = @period AND country = @country
+  );
+  IF @chartId IS NULL
+  BEGIN
+    INSERT INTO ${TABLES.CHARTS} (chart_type, period, country) VALUES (@chartType, @period, @country);
+    SET @chartId = SCOPE_IDENTITY();
+  END
+`;
@@ -0,0 +1,350 @@
+import { artistKey, splitArtistNames } from '../artists.js';
+
+// Esquema y carga comunes de SQLite y PostgreSQL
+// Es el mismo modelo normalizado que en SQL Server (ver mssql/schema.js), escrito con SQL que
+// entienden los dos: INSERT ... ON CONFLICT, WITH ... INSERT y parámetros con nombre (@nombre)
+//
+// Cada almacenamiento pasa un objeto db con:
+//   dialect                  uno de DIALECTS
+//   run(sql, params)         ejecuta una sentencia y devuelve las filas
+//   transaction(fn)          ejecuta fn(tx) en una transacción; tx tiene el mismo run
+
+// Diferencias de tipos entre los dos motores
+export const DIALECTS = {
+  sqlite: {
+    autoId: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    date: 'TEXT',
+    timestamp: 'TEXT',
+    now: "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"
+  },
+  postgres: {
+    autoId: 'INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY',
+    date: 'DATE',
+    timestamp: 'TIMESTAMPTZ',
+    now: 'now()'
+  }
+};
+
+// Filas por sentencia INSERT de varias filas (lejos del límite de parámetros de ambos motores)
+const CHUNK_SIZE = 500;
+
+// Sentencias del modelo normalizado para un dialecto
+function normalizedSchema(d) {
+  return [
+    `CREATE TABLE charts (
+      chart_id ${d.autoId},
+      chart_type TEXT NOT NULL,
+      period TEXT NOT NULL,
+      country TEXT NOT NULL,
+      CONSTRAINT ux_charts_type_period_country UNIQUE (chart_type, period, country)
+    )`,
+    `CREATE TABLE tracks (
+      uri TEXT NOT NULL PRIMARY KEY,
+      track_name TEXT NULL,
+      artist_names TEXT NULL,
+      updated_at ${d.timestamp} NOT NULL DEFAULT ${d.now}
+    )`,
+    `CREATE TABLE albums (
+      uri TEXT NOT NULL PRIMARY KEY,
+      album_name TEXT NULL,
+      artist_names TEXT NULL,
+      updated_at ${d.timestamp} NOT NULL DEFAULT ${d.now}
+    )`,
+    `CREATE TABLE artists (
+      artist_id ${d.autoId},
+      name TEXT NOT NULL CONSTRAINT ux_artists_name UNIQUE,
+      uri TEXT NULL
+    )`,
+    `CREATE TABLE track_artists (
+      track_uri TEXT NOT NULL REFERENCES tracks (uri),
+      artist_id INTEGER NOT NULL REFERENCES artists (artist_id),
+      position INTEGER NOT NULL,
+      PRIMARY KEY (track_uri, artist_id)
+    )`,
+    'CREATE INDEX ix_track_artists_artist ON track_artists (artist_id)',
+    `CREATE TABLE chart_entries (
+      chart_id INTEGER NOT NULL REFERENCES charts (chart_id),
+      date ${d.date} NOT NULL,
+      rank INTEGER NOT NULL,
+      uri TEXT NULL,
+      total_tracks INTEGER NULL,
+      source TEXT NULL,
+      peak_rank INTEGER NULL,
+      previous_rank INTEGER NULL,
+      days_on_chart INTEGER NULL,
+      weeks_on_chart INTEGER NULL,
+      streams BIGINT NULL,
+      loaded_at ${d.timestamp} NOT NULL DEFAULT ${d.now},
+      PRIMARY KEY (chart_id, date, rank)
+    )`,
+    'CREATE INDEX ix_chart_entries_uri ON chart_entries (uri)',
+    'CREATE INDEX ix_chart_entries_date ON chart_entries (date)',
+    // Misma vista plana que en SQL Server
+    `CREATE VIEW chart_rows AS
+    SELECT
+      chart.chart_type,
+      chart.period,
+      chart.country,
+      entry.date,
+      entry.rank,
+      entry.total_tracks,
+      entry.uri,
+      COALESCE(track.artist_names, album.artist_names,
+        (SELECT name FROM artists WHERE artists.uri = entry.uri LIMIT 1)) AS artist_names,
+      COALESCE(track.track_name, album.album_name) AS track_name,
+      entry.source,
+      entry.peak_rank,
+      entry.previous_rank,
+      entry.days_on_chart,
+      entry.weeks_on_chart,
+      entry.streams,
+      entry.loaded_at
+    FROM chart_entries AS entry
+    JOIN charts AS chart ON chart.chart_id = entry.chart_id
+    LEFT JOIN tracks AS track ON track.uri = entry.uri
+    LEFT JOIN albums AS album ON album.uri = entry.uri`
+  ];
+}
+
+// Función para rellenar artists.name_key (ver artistKey en src/artists.js) y fusionar los artistas
+// que solo se distinguían por mayúsculas ("FEID" y "Feid"): se conserva el primero que se guardó y sus
+// canciones pasan a él. run(sql, params) ejecuta una sentencia con parámetros @nombre
+// La usan también las migraciones de SQL Server, así que el SQL es común a los tres motores
+export async function mergeArtistsByKey(run) {
+  const artists = await run('SELECT artist_id, name, uri FROM artists ORDER BY artist_id');
+  const kept = new Map();
+
+  for (const artist of artists) {
+    const key = artistKey(artist.name);
+    const keep = kept.get(key);
+    if (!keep) {
+      kept.set(key, artist);
+      await run('UPDATE artists SET name_key = @key WHERE artist_id = @id', { key, id: artist.artist_id });
+      continue;
+    }
+
+    const ids = { keep: keep.artist_id, duplicate: artist.artist_id };
+    // Una canción con los dos nombres se queda solo con el artista conservado
+    await run(`
+      DELETE FROM track_artists
+      WHERE artist_id = @duplicate
+        AND track_uri IN (SELECT track_uri FROM track_artists WHERE artist_id = @keep)
+    `, ids);
+    await run('UPDATE track_artists SET artist_id = @keep WHERE artist_id = @duplicate', ids);
+    if (!keep.uri && artist.uri) {
+      keep.uri = artist.uri;
+      await run('UPDATE artists SET uri = @uri WHERE artist_id = @keep', { ...ids, uri: artist.uri });
+    }
+    await run('DELETE FROM artists WHERE artist_id = @duplicate', ids);
+  }
+}
+
+// Migraciones de SQLite y PostgreSQL: version, descripción y statements(dialecto) y/o up(tx)
+// Empiezan directamente en el modelo normalizado (no hay tablas antiguas que copiar)
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Modelo normalizado: charts, chart_entries, tracks, albums, artists y track_artists',
+    statements: normalizedSchema
+  },
+  {
+    version: 2,
+    description: 'Artistas identificados por el nombre sin distinguir mayúsculas (artists.name_key)',
+    statements: () => ['ALTER TABLE artists ADD COLUMN name_key TEXT NULL'],
+    up: async tx => {
+      await mergeArtistsByKey(tx.run);
+      await tx.run('CREATE UNIQUE INDEX ux_artists_name_key ON artists (name_key)');
+    }
+  }
+];
+
+// Función para aplicar las migraciones pendientes
+// Devuelve { applied, version } como el almacenamiento de SQL Server
+export async function ensureSchema(db, migrations = MIGRATIONS) {
+  const d = db.dialect;
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER NOT NULL PRIMARY KEY,
+      description TEXT NOT NULL,
+      applied_at ${d.timestamp} NOT NULL DEFAULT ${d.now}
+    )
+  `);
+
+  const currentVersion = async () => {
+    const [row] = await db.run('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version');
+    return Number(row.version);
+  };
+
+  const applied = [];
+  const current = await currentVersion();
+
+  for (const migration of migrations.filter(m => m.version > current)) {
+    try {
+      await db.transaction(async tx => {
+        for (const statement of migration.statements?.(d) ?? []) {
+          await tx.run(statement);
+        }
+        if (migration.up) {
+          await migration.up(tx);
+        }
+        await tx.run(
+          'INSERT INTO schema_version (version, description) VALUES (@version, @description)',
+          { version: migration.version, description: migration.description }
+        );
+      });
+      applied.push(migration);
+    } catch (error) {
+      throw new Error(`Falló la migración ${migration.version} (${migration.description}): ${error.message}`);
+    }
+  }
+
+  return { applied, version: await currentVersion() };
+}
+
+// Función para construir la lista VALUES de un INSERT de varias filas con parámetros con nombre
+// columns son [nombre, cast opcional]; el cast hace falta en VALUES fuera de un INSERT en PostgreSQL
+function valuesList(rows, prefix, columns) {
+  const params = {};
+  const tuples = rows.map((row, index) => {
+    const placeholders = columns.map(([column, cast]) => {
+      const name = `${prefix}${index}_${column}`;
+      params[name] = row[column] ?? null;
+      return cast ? `CAST(@${name} AS ${cast})` : `@${name}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+  return { values: tuples.join(', '), params };
+}
+
+// Función para dividir una lista en trozos de CHUNK_SIZE
+function chunks(rows) {
+  const result = [];
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    result.push(rows.slice(i, i + CHUNK_SIZE));
+  }
+  return result;
+}
+
+// Función para quedarse con una fila por clave, ordenadas por clave
+// El orden fijo evita bloqueos cruzados entre cargas en paralelo que comparten canciones
+function uniqueBy(rows, key) {
+  const map = new Map();
+  for (const row of rows) {
+    map.set(row[key], row);
+  }
+  return [...map.values()].sort((a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0));
+}
+
+// Función para guardar las canciones, álbumes y artistas de un chart
+async function upsertItems(tx, tracks) {
+  const now = tx.dialect.now;
+  const byPrefix = prefix => uniqueBy(tracks.filter(track => track.uri && track.uri.startsWith(prefix)), 'uri');
+
+  for (const rows of chunks(byPrefix('spotify:track:'))) {
+    const { values, params } = valuesList(rows, 't', [['uri'], ['track_name'], ['artist_names']]);
+    await tx.run(`
+      INSERT INTO tracks (uri, track_name, artist_names) VALUES ${values}
+      ON CONFLICT (uri) DO UPDATE SET
+        track_name = excluded.track_name,
+        artist_names = excluded.artist_names,
+        updated_at = ${now}
+    `, params);
+  }
+
+  for (const rows of chunks(byPrefix('spotify:album:'))) {
+    const { values, params } = valuesList(rows, 'a', [['uri'], ['track_name'], ['artist_names']]);
+    await tx.run(`
+      INSERT INTO albums (uri, album_name, artist_names) VALUES ${values}
+      ON CONFLICT (uri) DO UPDATE SET
+        album_name = excluded.album_name,
+        artist_names = excluded.artist_names,
+        updated_at = ${now}
+    `, params);
+  }
+
+  // En los charts de artistas artist_names es el nombre del artista de la URI
+  // Si el artista ya existe (con cualquier combinación de mayúsculas) se conserva su nombre
+  const artistItems = uniqueBy(
+    byPrefix('spotify:artist:').filter(item => item.artist_names)
+      .map(item => ({ name: item.artist_names, name_key: artistKey(item.artist_names), uri: item.uri })),
+    'name_key'
+  );
+  for (const rows of chunks(artistItems)) {
+    const { values, params } = valuesList(rows, 'r', [['name'], ['name_key'], ['uri']]);
+    await tx.run(`
+      INSERT INTO artists (name, name_key, uri) VALUES ${values}
+      ON CONFLICT (name_key) DO UPDATE SET uri = excluded.uri
+    `, params);
+  }
+}
+
+// Función para sustituir los artistas de las canciones de un chart
+async function replaceTrackArtists(tx, tracks) {
+  const songs = uniqueBy(tracks.filter(track => track.uri && track.uri.startsWith('spotify:track:')), 'uri');
+  const pairs = songs.flatMap(track => splitArtistNames(track.artist_names)
+    .map((name, index) => ({ uri: track.uri, position: index + 1, name, name_key: artistKey(name) })));
+
+  for (const rows of chunks(uniqueBy(pairs, 'name_key'))) {
+    const { values, params } = valuesList(rows, 'n', [['name'], ['name_key']]);
+    await tx.run(`INSERT INTO artists (name, name_key) VALUES ${values} ON CONFLICT (name_key) DO NOTHING`, params);
+  }
+
+  for (const rows of chunks(songs)) {
+    const params = Object.fromEntries(rows.map((row, index) => [`d${index}`, row.uri]));
+    const names = Object.keys(params).map(name => `@${name}`);
+    await tx.run(`DELETE FROM track_artists WHERE track_uri IN (${names.join(', ')})`, params);
+  }
+
+  for (const rows of chunks(pairs)) {
+    const { values, params } = valuesList(rows, 'p', [['uri', 'TEXT'], ['position', 'INTEGER'], ['name_key', 'TEXT']]);
+    await tx.run(`
+      WITH pair (uri, position, name_key) AS (VALUES ${values})
+      INSERT INTO track_artists (track_uri, artist_id, position)
+      SELECT pair.uri, artist.artist_id, pair.position
+      FROM pair
+      JOIN artists AS artist ON artist.name_key = pair.name_key
+    `, params);
+  }
+}
+
+// Función para cargar un chart completo en una transacción
+// Las entradas del chart y fecha se sustituyen por las del archivo, así que recargarlo deja lo mismo
+export async function upsertChartFile(db, { chart, country, date, totalTracks, tracks }) {
+  await db.transaction(async tx => {
+    const key = { chartType: chart.type, period: chart.period, country };
+    await tx.run(`
+      INSERT INTO charts (chart_type, period, country) VALUES (@chartType, @period, @country)
+      ON CONFLICT (chart_type, period, country) DO NOTHING
+    `, key);
+    const [{ chart_id: chartId }] = await tx.run(`
+      SELECT chart_id FROM charts WHERE chart_type = @chartType AND period = @period AND country = @country
+    `, key);
+
+    await upsertItems(tx, tracks);
+    await replaceTrackArtists(tx, tracks);
+
+    await tx.run('DELETE FROM chart_entries WHERE chart_id = @chartId AND date = @date', { chartId, date });
+
+    const entries = tracks.map(track => ({
+      chart_id: chartId,
+      date,
+      rank: track.rank,
+      uri: track.uri,
+      total_tracks: totalTracks,
+      source: track.source || null,
+      peak_rank: track.peak_rank || null,
+      previous_rank: track.previous_rank || null,
+      days_on_chart: track.days_on_chart ?? null,
+      weeks_on_chart: track.weeks_on_chart ?? null,
+      streams: track.streams ?? null
+    }));
+    const columns = [
+      'chart_id', 'date', 'rank', 'uri', 'total_tracks', 'source', 'peak_rank', 'previous_rank',
+      'days_on_chart', 'weeks_on_chart', 'streams'
+    ];
+    for (const rows of chunks(entries)) {
+      const { values, params } = valuesList(rows, 'e', columns.map(column => [column]));
+      await tx.run(`INSERT INTO chart_entries (${columns.join(', ')}) VALUES ${values}`, params);
+    }
+  });
+}
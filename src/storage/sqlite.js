@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { DIALECTS, ensureSchema, upsertChartFile } from './relational.js';
+
+// Almacenamiento en un archivo SQLite local (ver src/storage/index.js para la interfaz)
+// Usa better-sqlite3, que es síncrono: las transacciones se ejecutan de una en una
+
+// Función para cargar el driver, que es una dependencia opcional
+async function loadDriver() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (error) {
+    throw new Error(`Para usar SQLite instala better-sqlite3 (npm install better-sqlite3): ${error.message}`);
+  }
+}
+
+// better-sqlite3 no admite booleanos y solo recibe los parámetros que aparecen en la sentencia
+function bindParams(text, params) {
+  const bound = {};
+  for (const [, name] of text.matchAll(/@(\w+)/g)) {
+    const value = params[name];
+    bound[name] = typeof value === 'boolean' ? Number(value) : value;
+  }
+  return bound;
+}
+
+// Crea el almacenamiento SQLite en el archivo indicado
+export function createSqliteStorage(file) {
+  let database = null;
+  // Cola de transacciones: la conexión es única y no admite transacciones anidadas
+  let queue = Promise.resolve();
+
+  const run = async (text, params = {}) => {
+    const statement = database.prepare(text);
+    const bound = bindParams(text, params);
+    return statement.reader ? statement.all(bound) : (statement.run(bound), []);
+  };
+
+  const db = {
+    dialect: DIALECTS.sqlite,
+    run,
+    transaction(fn) {
+      const next = queue.catch(() => {}).then(async () => {
+        database.exec('BEGIN');
+        try {
+          const result = await fn({ dialect: DIALECTS.sqlite, run });
+          database.exec('COMMIT');
+          return result;
+        } catch (error) {
+          database.exec('ROLLBACK');
+          throw error;
+        }
+      });
+      queue = next;
+      return next;
+    }
+  };
+
+  return {
+    name: `SQLite (${file})`,
+
+    async connect() {
+      const Database = await loadDriver();
+      const created = !fs.existsSync(file);
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      database = new Database(file);
+      database.pragma('journal_mode = WAL');
+      database.pragma('foreign_keys = ON');
+      return { created };
+    },
+
+    async ensureSchema() {
+      return ensureSchema(db);
+    },
+
+    async upsertChartFile(chartFile) {
+      await upsertChartFile(db, chartFile);
+    },
+
+    async query(text, params = {}) {
+      return run(text, params);
+    },
+
+    limitClause(count) {
+      return `LIMIT ${count}`;
+    },
+
+    async close() {
+      if (database) {
+        database.close();
+        database = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,41 @@
+// Formato de tablas de texto para los informes de consola (diff, spread, breakout...)
+
+// Función para formatear un número con separador de miles (vacío si falta)
+export function formatNumber(value) {
+  return value === null || value === undefined ? '' : value.toLocaleString('es-ES');
+}
+
+// Función para formatear una diferencia con signo
+export function formatDelta(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return value > 0 ? `+${formatNumber(value)}` : formatNumber(value);
+}
+
+// Función para recortar textos largos en las tablas
+export function truncate(text, length = 40) {
+  const value = text ?? '';
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// Imprime una tabla alineada; columns: [{ label, value(row), right }]
+export function printTable(title, columns, rows) {
+  console.log(`\n${title} (${rows.length})`);
+  if (rows.length === 0) {
+    console.log('   (ninguna)');
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(column => String(column.value(row))));
+  const widths = columns.map((column, index) =>
+    Math.max(column.label.length, ...cells.map(row => row[index].length)));
+  const line = values => '   ' + values
+    .map((value, index) => columns[index].right ? value.padStart(widths[index]) : value.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  console.log(line(columns.map(column => column.label)));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  cells.forEach(row => console.log(line(row)));
+}
@@ -0,0 +1,43 @@
+// Función para validar formato de fecha
+export function validateDate(dateString) {
+  const regex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!regex.test(dateString)) {
+    return false;
+  }
+
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date);
+}
+
+// Función para generar delay aleatorio
+export function randomDelay(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// Función para esperar un número de milisegundos
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Función para generar todas las fechas entre dos fechas (ambas incluidas)
+export function dateRange(from, to) {
+  const dates = [];
+  const current = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+
+  while (current <= end) {
+    dates.push(current.toISOString().slice(0, 10));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+// Función para separar una dirección host:puerto
+export function parseAddress(address) {
+  const match = /^([^:]+):(\d+)$/.exec(address);
+  if (!match || Number(match[2]) <= 0 || Number(match[2]) > 65535) {
+    throw new Error(`La dirección "${address}" no es válida. Usa el formato host:puerto`);
+  }
+  return { host: match[1], port: Number(match[2]) };
+}
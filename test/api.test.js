@@ -0,0 +1,164 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiServer } from '../src/api/server.js';
+
+// Filas de un chart de es con n canciones
+function chartRows(date, n) {
+  return Array.from({ length: n }, (_, index) => ({
+    chart_type: 'regional', period: 'daily', country: 'es', date, rank: index + 1, uri: `spotify:track:${index + 1}`
+  }));
+}
+
+// Origen de datos de prueba: anota las llamadas y devuelve datos fijos
+const calls = [];
+const source = {
+  async chart(key) {
+    calls.push(['chart', key]);
+    return key.country === 'es' && key.date === '2025-01-02' ? chartRows(key.date, 5) : null;
+  },
+  async latestDate(key) {
+    calls.push(['latestDate', key]);
+    return key.country === 'es' ? '2025-01-02' : null;
+  },
+  async trackHistory(uri, filters) {
+    calls.push(['trackHistory', uri, filters]);
+    return chartRows('2025-01-02', 1);
+  },
+  async artistCharts(name, filters) {
+    calls.push(['artistCharts', name, filters]);
+    if (name === 'falla') {
+      throw new Error('conexión perdida');
+    }
+    return chartRows('2025-01-02', 3);
+  }
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = createApiServer(source);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Petición GET a la API; devuelve el código, las cabeceras y el cuerpo JSON (null si no hay)
+async function get(path, headers = {}) {
+  calls.length = 0;
+  const response = await fetch(`${base}${path}`, { headers });
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+test('GET /charts/:country/latest devuelve el último chart del país', async () => {
+  const { status, body } = await get('/charts/ES/latest');
+  assert.equal(status, 200);
+  assert.deepEqual([body.chart, body.period, body.country, body.date], ['regional', 'daily', 'es', '2025-01-02']);
+  assert.equal(body.data.length, 5);
+  assert.deepEqual(calls[0], ['latestDate', { chart: { type: 'regional', period: 'daily' }, country: 'es' }]);
+});
+
+test('GET /charts/:country/:date devuelve 404 si no hay chart', async () => {
+  assert.equal((await get('/charts/es/2025-01-02')).status, 200);
+  const { status, body } = await get('/charts/mx/2025-01-02');
+  assert.equal(status, 404);
+  assert.match(body.error, /No hay chart regional daily de "mx"/);
+  assert.equal((await get('/charts/mx/latest')).status, 404);
+});
+
+test('la paginación devuelve la ruta de la siguiente página', async () => {
+  const first = await get('/charts/es/2025-01-02?limit=2');
+  assert.deepEqual(first.body.data.map(row => row.rank), [1, 2]);
+  assert.deepEqual(first.body.pagination, { offset: 0, limit: 2, total: 5, next: '/charts/es/2025-01-02?limit=2&offset=2' });
+
+  const last = await get('/charts/es/2025-01-02?limit=2&offset=4');
+  assert.deepEqual(last.body.data.map(row => row.rank), [5]);
+  assert.equal(last.body.pagination.next, null);
+});
+
+test('GET /tracks/:uri/history y /artists/:name/charts pasan los filtros al origen', async () => {
+  const track = await get('/tracks/abc/history?country=es,MX&from=2025-01-01&to=2025-01-31&chart=regional&period=daily');
+  assert.equal(track.body.uri, 'spotify:track:abc');
+  assert.deepEqual(calls[0], ['trackHistory', 'spotify:track:abc', {
+    countries: ['es', 'mx'], from: '2025-01-01', to: '2025-01-31', chart: 'regional', period: 'daily'
+  }]);
+
+  const artist = await get('/artists/Bad%20Bunny/charts');
+  assert.equal(artist.body.artist, 'Bad Bunny');
+  assert.equal(artist.body.pagination.total, 3);
+  assert.equal(calls[0][1], 'Bad Bunny');
+});
+
+test('las fechas de los charts semanales se ajustan al jueves que cierra su semana', async () => {
+  await get('/charts/es/2024-12-30?period=weekly');
+  assert.deepEqual(calls[0], ['chart', { chart: { type: 'regional', period: 'weekly' }, country: 'es', date: '2025-01-02' }]);
+
+  await get('/tracks/abc/history?period=weekly&from=2024-12-28&to=2025-01-03');
+  assert.deepEqual([calls[0][2].from, calls[0][2].to], ['2025-01-02', '2025-01-09']);
+
+  // city solo es semanal, aunque no se indique el periodo
+  await get('/artists/x/charts?chart=city&from=2024-12-28');
+  assert.equal(calls[0][2].from, '2025-01-02');
+
+  // Sin periodo ni chart semanal las fechas no cambian
+  await get('/artists/x/charts?from=2024-12-28');
+  assert.equal(calls[0][2].from, '2024-12-28');
+});
+
+test('las respuestas llevan ETag y devuelven 304 si el cliente ya tiene esa versión', async () => {
+  const first = await get('/charts/es/2025-01-02');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^".+"$/);
+
+  const cached = await get('/charts/es/2025-01-02', { 'If-None-Match': etag });
+  assert.equal(cached.status, 304);
+  assert.equal(cached.body, null);
+
+  const weak = await get('/charts/es/2025-01-02', { 'If-None-Match': `"otra", W/${etag}` });
+  assert.equal(weak.status, 304);
+
+  const changed = await get('/charts/es/2025-01-02?limit=1', { 'If-None-Match': etag });
+  assert.equal(changed.status, 200);
+});
+
+test('los parámetros no válidos devuelven 400', async () => {
+  for (const path of [
+    '/charts/es/2025-13-01',
+    '/charts/es/latest?chart=podcast',
+    '/charts/es/latest?chart=city&period=daily',
+    '/charts/es/latest?limit=0',
+    '/charts/es/latest?offset=-1',
+    '/tracks/abc/history?from=ayer',
+    '/tracks/abc/history?from=2025-02-01&to=2025-01-01',
+    '/artists/x/charts?chart=podcast',
+    '/artists/x/charts?period=monthly',
+    '/artists/x/charts?chart=city&period=daily',
+    '/tracks/abc/history?period=weekly&from=2025-01-10&to=2025-01-03',
+    '/artists/%E0%A4%A/charts'
+  ]) {
+    const { status, body } = await get(path);
+    assert.equal(status, 400, path);
+    assert.ok(body.error, path);
+  }
+});
+
+test('rutas desconocidas, otros métodos y errores del origen', async () => {
+  assert.equal((await get('/nada')).status, 404);
+
+  const post = await fetch(`${base}/charts/es/latest`, { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.equal(post.headers.get('allow'), 'GET, HEAD');
+
+  const { status, body } = await get('/artists/falla/charts');
+  assert.equal(status, 500);
+  assert.equal(body.error, 'Error interno del servidor');
+});
+
+test('GET /openapi.json describe la API', async () => {
+  const { status, body } = await get('/openapi.json');
+  assert.equal(status, 200);
+  assert.match(body.openapi, /^3\./);
+  assert.ok(body.paths['/charts/{country}/latest']);
+});
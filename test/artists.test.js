@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { artistKey, splitArtistNames } from '../src/artists.js';
+
+test('splitArtistNames separa los artistas por comas', () => {
+  assert.deepEqual(splitArtistNames('Bad Bunny, Feid,  Karol G '), ['Bad Bunny', 'Feid', 'Karol G']);
+});
+
+test('splitArtistNames no parte los artistas conocidos con coma en el nombre', () => {
+  assert.deepEqual(splitArtistNames('Tyler, The Creator, Kali Uchis'), ['Tyler, The Creator', 'Kali Uchis']);
+  assert.deepEqual(splitArtistNames('tyler, the creator'), ['tyler, the creator']);
+});
+
+test('splitArtistNames prefiere el artista conocido más largo', () => {
+  assert.deepEqual(splitArtistNames('Crosby, Stills, Nash & Young'), ['Crosby, Stills, Nash & Young']);
+  assert.deepEqual(splitArtistNames('Crosby, Stills & Nash'), ['Crosby, Stills & Nash']);
+});
+
+test('splitArtistNames admite otra lista de artistas conocidos', () => {
+  assert.deepEqual(splitArtistNames('Simon, Garfunkel', ['Simon, Garfunkel']), ['Simon, Garfunkel']);
+  assert.deepEqual(splitArtistNames('Simon, Garfunkel', []), ['Simon', 'Garfunkel']);
+});
+
+test('splitArtistNames quita los repetidos sin distinguir mayúsculas', () => {
+  assert.deepEqual(splitArtistNames('Feid, FEID, feid'), ['Feid']);
+});
+
+test('splitArtistNames devuelve una lista vacía sin artistas', () => {
+  assert.deepEqual(splitArtistNames(''), []);
+  assert.deepEqual(splitArtistNames(null), []);
+  assert.deepEqual(splitArtistNames(' , '), []);
+});
+
+test('artistKey identifica al artista sin distinguir mayúsculas ni espacios de los extremos', () => {
+  assert.equal(artistKey(' FEID '), artistKey('Feid'));
+  assert.notEqual(artistKey('Feid'), artistKey('Fe id'));
+});
@@ -0,0 +1,110 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { CONFIG_FILE, ENV_FILE, loadConfig, redactConfig } from '../src/config.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Directorio de trabajo temporal con el archivo de configuración y el .env indicados
+function tempCwd({ configFile, envFile } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-charts-config-'));
+  tempDirs.push(dir);
+  if (configFile) {
+    fs.writeFileSync(path.join(dir, CONFIG_FILE), JSON.stringify(configFile));
+  }
+  if (envFile) {
+    fs.writeFileSync(path.join(dir, ENV_FILE), envFile);
+  }
+  return dir;
+}
+
+test('loadConfig usa los valores por defecto sin archivo ni variables', () => {
+  const { values, sources } = loadConfig({ env: {}, cwd: tempCwd() });
+  assert.equal(values.concurrency, 1);
+  assert.equal(values.db.server, 'localhost');
+  assert.equal(values.db.password, null);
+  assert.equal(values.profileDir, path.join(values.outputDir, 'chrome-profile'));
+  assert.equal(sources.concurrency, 'defecto');
+});
+
+test('loadConfig resuelve las rutas respecto al archivo de configuración o al directorio actual', () => {
+  const cwd = tempCwd();
+  fs.mkdirSync(path.join(cwd, 'conf'));
+  fs.writeFileSync(path.join(cwd, 'conf', 'charts.json'), JSON.stringify({ outputDir: '../datos', cookiesFile: 'cookies.json' }));
+
+  const fromFile = loadConfig({ env: { SPOTIFY_CHARTS_CONFIG: 'conf/charts.json' }, cwd }).values;
+  assert.equal(fromFile.outputDir, path.join(cwd, 'datos'));
+  assert.equal(fromFile.cookiesFile, path.join(cwd, 'conf', 'cookies.json'));
+  assert.equal(fromFile.profileDir, path.join(cwd, 'datos', 'chrome-profile'));
+
+  const fromEnv = loadConfig({ env: { SPOTIFY_CHARTS_CONFIG: 'conf/charts.json', SPOTIFY_CHARTS_OUTPUT_DIR: 'salida' }, cwd }).values;
+  assert.equal(fromEnv.outputDir, path.join(cwd, 'salida'));
+  assert.equal(loadConfig({ env: {}, cwd }).values.outputDir, path.join(cwd, 'data'));
+});
+
+test('loadConfig aplica las capas: defecto < archivo < .env < variables de entorno', () => {
+  const cwd = tempCwd({
+    configFile: { concurrency: 2, rateLimitPerMinute: 30, loadConcurrency: 6, db: { server: 'db.local' } },
+    envFile: 'SPOTIFY_CHARTS_RATE_LIMIT_PER_MINUTE=20\nSPOTIFY_CHARTS_LOAD_CONCURRENCY=7\nDB_PASSWORD=desde-env-file\n'
+  });
+  const { values, sources } = loadConfig({ env: { SPOTIFY_CHARTS_LOAD_CONCURRENCY: '8' }, cwd });
+
+  assert.deepEqual([values.concurrency, values.rateLimitPerMinute, values.loadConcurrency, values.db.server, values.db.password],
+    [2, 20, 8, 'db.local', 'desde-env-file']);
+  assert.deepEqual([sources.concurrency, sources.rateLimitPerMinute, sources.loadConcurrency, sources.headless], [
+    CONFIG_FILE,
+    `${ENV_FILE} SPOTIFY_CHARTS_RATE_LIMIT_PER_MINUTE`,
+    'env SPOTIFY_CHARTS_LOAD_CONCURRENCY',
+    'defecto'
+  ]);
+});
+
+test('loadConfig lee el archivo indicado en SPOTIFY_CHARTS_CONFIG y convierte los tipos', () => {
+  const cwd = tempCwd();
+  fs.writeFileSync(path.join(cwd, 'otra.json'), JSON.stringify({ headless: true, countries: ['ES', ' mx '] }));
+  const { values } = loadConfig({ env: { SPOTIFY_CHARTS_CONFIG: 'otra.json', SPOTIFY_CHARTS_SKIP_IF_EXISTS: 'no' }, cwd });
+  assert.equal(values.headless, true);
+  assert.equal(values.skipIfExists, false);
+  assert.deepEqual(values.countries, ['es', 'mx']);
+
+  assert.throws(() => loadConfig({ env: { SPOTIFY_CHARTS_CONFIG: 'falta.json' }, cwd }), /No existe el archivo de configuración/);
+});
+
+test('loadConfig rechaza opciones desconocidas y valores no válidos', () => {
+  assert.throws(() => loadConfig({ env: {}, cwd: tempCwd({ configFile: { concurency: 2 } }) }), /Opción desconocida "concurency"/);
+  assert.throws(() => loadConfig({ env: { SPOTIFY_CHARTS_CONCURRENCY: '0' }, cwd: tempCwd() }), /concurrency \(SPOTIFY_CHARTS_CONCURRENCY\)/);
+  assert.throws(() => loadConfig({ env: { SPOTIFY_CHARTS_HEADLESS: 'quizá' }, cwd: tempCwd() }), /true o false/);
+  assert.throws(() => loadConfig({ env: { SPOTIFY_CHARTS_DELAY_MIN_MS: '5000' }, cwd: tempCwd() }), /delayMinMs \(5000\) no puede ser mayor/);
+});
+
+test('redactConfig oculta las contraseñas sin modificar la configuración', () => {
+  const { values } = loadConfig({ env: { DB_PASSWORD: 'secreta' }, cwd: tempCwd() });
+  const redacted = redactConfig(values);
+  assert.notEqual(redacted.db.password, 'secreta');
+  assert.equal(redacted.db.user, values.db.user);
+  assert.equal(values.db.password, 'secreta');
+
+  const { values: withoutPassword } = loadConfig({ env: {}, cwd: tempCwd() });
+  assert.equal(redactConfig(withoutPassword).db.password, null);
+});
+
+test('config print no muestra las contraseñas', () => {
+  const cwd = tempCwd({ envFile: 'DB_PASSWORD=secreta-env-file\n' });
+  const output = execFileSync(process.execPath, [CLI, 'config', 'print', '--sources'], {
+    cwd,
+    env: { PATH: process.env.PATH },
+    encoding: 'utf-8'
+  });
+
+  assert.doesNotMatch(output, /secreta/);
+  const { config, sources } = JSON.parse(output);
+  assert.equal(sources['db.password'], `${ENV_FILE} DB_PASSWORD`);
+  assert.equal(config.db.password, '********');
+});
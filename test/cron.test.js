@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun } from '../src/cron.js';
+
+// Fecha en hora local, como la usa el daemon
+function local(year, month, day, hours = 0, minutes = 0) {
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+test('parseCron lee valores, rangos, listas y pasos', () => {
+  const cron = parseCron('*/15 9-11 1,15 * *');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.equal(cron.months.size, 12);
+});
+
+test('parseCron: un paso desde un valor llega hasta el máximo del campo', () => {
+  assert.deepEqual([...parseCron('50/5 * * * *').minutes], [50, 55]);
+  assert.deepEqual([...parseCron('0-30/10 * * * *').minutes], [0, 10, 20, 30]);
+});
+
+test('parseCron: el 7 es también el domingo', () => {
+  const cron = parseCron('0 0 * * 7');
+  assert.ok(cron.weekdays.has(0));
+});
+
+test('parseCron rechaza expresiones no válidas', () => {
+  for (const expression of [
+    '* * * *',
+    '60 * * * *',
+    '* 24 * * *',
+    '* * 0 * *',
+    '5-1 * * * *',
+    '1-2-3 * * * *',
+    '*/0 * * * *',
+    '*/5/2 * * * *',
+    'a * * * *'
+  ]) {
+    assert.throws(() => parseCron(expression), Error, expression);
+  }
+});
+
+test('nextRun devuelve el siguiente minuto que cumple la expresión', () => {
+  const cron = parseCron('30 8 * * *');
+  assert.deepEqual(nextRun(cron, local(2025, 3, 10, 8, 29)), local(2025, 3, 10, 8, 30));
+  assert.deepEqual(nextRun(cron, local(2025, 3, 10, 8, 30)), local(2025, 3, 11, 8, 30));
+});
+
+test('nextRun: con día del mes y día de la semana basta con que se cumpla uno', () => {
+  // Día 15 o lunes: tras el miércoles 12 de marzo de 2025 viene el sábado 15 y luego el lunes 17
+  const cron = parseCron('0 0 15 * 1');
+  const first = nextRun(cron, local(2025, 3, 12));
+  assert.deepEqual(first, local(2025, 3, 15));
+  assert.deepEqual(nextRun(cron, first), local(2025, 3, 17));
+});
+
+test('nextRun: con el día de la semana en * solo cuenta el día del mes', () => {
+  const cron = parseCron('0 0 15 * *');
+  assert.deepEqual(nextRun(cron, local(2025, 3, 12)), local(2025, 3, 15));
+  assert.deepEqual(nextRun(cron, local(2025, 3, 15)), local(2025, 4, 15));
+});
+
+test('nextRun falla si la expresión no se cumple nunca', () => {
+  assert.throws(() => nextRun(parseCron('0 0 31 2 *'), local(2025, 1, 1)), /no se cumple nunca/);
+});
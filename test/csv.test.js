@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { createCsvTokenizer, parseCSV, parseCSVStream, formatCSVRecord } from '../src/csv.js';
+import { FAILURE_KINDS } from '../src/errors.js';
+
+test('parseCSV lee campos entre comillas con comas, comillas y saltos de línea', () => {
+  const rows = parseCSV('\uFEFFrank,artist_names,track_name\r\n1,"Tyler, The Creator","Dice ""hola""\nadiós"\r\n2,Feid,X\r\n');
+  assert.deepEqual(rows, [
+    { rank: '1', artist_names: 'Tyler, The Creator', track_name: 'Dice "hola"\nadiós' },
+    { rank: '2', artist_names: 'Feid', track_name: 'X' }
+  ]);
+});
+
+test('parseCSV comprueba las columnas esperadas', () => {
+  assert.throws(() => parseCSV('rank,uri\n1,a\n', { columns: ['rank', 'streams'] }), error =>
+    error.kind === FAILURE_KINDS.LAYOUT_CHANGED && /faltan columnas: streams/.test(error.message));
+});
+
+test('parseCSV falla si una fila no tiene tantos campos como la cabecera', () => {
+  assert.throws(() => parseCSV('a,b\n1\n'), /fila 2: se esperaban 2 campos y hay 1/);
+});
+
+test('parseCSV falla con un archivo vacío o un campo entre comillas sin cerrar', () => {
+  assert.throws(() => parseCSV(''), /el archivo está vacío/);
+  assert.throws(() => parseCSV('a\n"sin cerrar\n'), /termina dentro de un campo entre comillas/);
+});
+
+test('el tokenizador une los registros que llegan partidos en varios trozos', () => {
+  const tokenizer = createCsvTokenizer();
+  const records = [];
+  for (const chunk of ['a,"b', '""c",d\r', '\ne,f']) {
+    records.push(...tokenizer.write(chunk));
+  }
+  records.push(...tokenizer.end());
+  assert.deepEqual(records, [['a', 'b"c', 'd'], ['e', 'f']]);
+});
+
+test('parseCSVStream devuelve las mismas filas que parseCSV', async () => {
+  const csv = 'rank,track_name\n1,"Uno, dos"\n2,Tres\n';
+  const rows = [];
+  for await (const row of parseCSVStream(Readable.from(['rank,tra', 'ck_name\n1,"Uno,', ' dos"\n2,Tres\n']))) {
+    rows.push(row);
+  }
+  assert.deepEqual(rows, parseCSV(csv));
+});
+
+test('formatCSVRecord escapa los campos que lo necesitan', () => {
+  assert.equal(formatCSVRecord([1, 'Tyler, The Creator', 'Dice "hola"', null, undefined]),
+    '1,"Tyler, The Creator","Dice ""hola""",,\n');
+  assert.deepEqual(parseCSV(`a,b\n${formatCSVRecord(['x\ny', 'z'])}`), [{ a: 'x\ny', b: 'z' }]);
+});
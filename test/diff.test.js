@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffCharts } from '../src/diff.js';
+
+const DAILY = { type: 'regional', period: 'daily' };
+
+// Fila de un chart diario con los campos que usa la comparación
+function row(uri, rank, { streams = 1000, days = 10, peak = rank, previous = null } = {}) {
+  return {
+    uri: `spotify:track:${uri}`, track_name: uri, artist_names: 'Artista', rank,
+    peak_rank: peak, previous_rank: previous, days_on_chart: days, streams
+  };
+}
+
+function chart(date, rows, overrides = {}) {
+  return { chart: DAILY, country: 'es', date, rows, ...overrides };
+}
+
+test('diffCharts clasifica entradas nuevas, reentradas, salidas, subidas y bajadas', () => {
+  const before = chart('2025-01-01', [row('a', 1), row('b', 2), row('c', 3), row('d', 4)]);
+  const after = chart('2025-01-02', [
+    row('c', 1, { previous: 3 }),
+    row('a', 2, { previous: 1 }),
+    row('b', 3, { previous: 2 }),
+    row('nueva', 4, { days: 1 }),
+    row('vuelve', 5, { days: 20 })
+  ]);
+
+  const report = diffCharts(before, after);
+  assert.deepEqual(report.summary, {
+    tracks_before: 4,
+    tracks_after: 5,
+    new_entries: 1,
+    re_entries: 1,
+    drop_outs: 1,
+    climbers: 1,
+    fallers: 2,
+    unchanged: 0,
+    previous_rank_mismatches: 0
+  });
+  assert.equal(report.new_entries[0].uri, 'spotify:track:nueva');
+  assert.equal(report.re_entries[0].uri, 'spotify:track:vuelve');
+  assert.deepEqual(report.drop_outs.map(entry => entry.last_rank), [4]);
+  assert.deepEqual(report.climbers.map(move => [move.uri, move.movement]), [['spotify:track:c', 2]]);
+  assert.deepEqual(report.fallers.map(move => move.movement), [-1, -1]);
+});
+
+test('diffCharts calcula la diferencia de streams', () => {
+  const before = chart('2025-01-01', [row('a', 1, { streams: 2000 }), row('b', 2, { streams: null })]);
+  const after = chart('2025-01-02', [row('a', 1, { streams: 2500 }), row('b', 2, { streams: 900 })]);
+
+  const [a, b] = diffCharts(before, after).stream_deltas;
+  assert.deepEqual([a.delta, a.delta_pct], [500, 25]);
+  assert.deepEqual([b.delta, b.delta_pct], [null, null]);
+});
+
+test('diffCharts contrasta previous_rank solo en charts consecutivos', () => {
+  const before = chart('2025-01-01', [row('a', 1), row('b', 2)]);
+  const after = chart('2025-01-02', [row('b', 1, { previous: 2 }), row('a', 2, { previous: 3 })]);
+
+  const { previous_rank_check: check } = diffCharts(before, after);
+  assert.deepEqual(check.mismatches.map(({ uri, expected, reported }) => [uri, expected, reported]), [['spotify:track:a', 1, 3]]);
+
+  const later = diffCharts(before, { ...after, date: '2025-01-03' });
+  assert.equal(later.previous_rank_check.checked, false);
+  assert.equal(later.summary.previous_rank_mismatches, null);
+});
+
+test('diffCharts sin días en el chart usa el mejor puesto para detectar reentradas', () => {
+  const before = chart('2025-01-01', [row('a', 1)]);
+  const after = chart('2025-01-02', [
+    row('a', 1),
+    row('vuelve', 2, { days: null, peak: 1 }),
+    row('nueva', 3, { days: null, peak: 3 })
+  ]);
+
+  const report = diffCharts(before, after);
+  assert.deepEqual(report.re_entries.map(entry => entry.track_name), ['vuelve']);
+  assert.deepEqual(report.new_entries.map(entry => entry.track_name), ['nueva']);
+});
+
+test('diffCharts limita subidas y bajadas a top', () => {
+  const before = chart('2025-01-01', ['a', 'b', 'c', 'd'].map((uri, index) => row(uri, index + 1)));
+  const after = chart('2025-01-02', ['d', 'c', 'b', 'a'].map((uri, index) => row(uri, index + 1)));
+
+  const report = diffCharts(before, after, { top: 1 });
+  assert.equal(report.summary.climbers, 2);
+  assert.deepEqual(report.climbers.map(move => move.uri), ['spotify:track:d']);
+  assert.deepEqual(report.fallers.map(move => move.uri), ['spotify:track:a']);
+});
+
+test('diffCharts rechaza charts que no se pueden comparar', () => {
+  const before = chart('2025-01-01', []);
+  assert.throws(() => diffCharts(before, chart('2025-01-02', [], { country: 'mx' })), /mismo país/);
+  assert.throws(() => diffCharts(before, chart('2025-01-02', [], { chart: { type: 'viral', period: 'daily' } })), /mismo tipo/);
+  assert.throws(() => diffCharts(before, chart('2025-01-01', [])), /debe ser anterior/);
+});
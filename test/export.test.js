@@ -0,0 +1,69 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createExporter, PARQUET_ROW_GROUP_SIZE } from '../src/export.js';
+import { parseCSV } from '../src/csv.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-charts-export-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// hyparquet-writer es una dependencia opcional (y trae hyparquet para leer los archivos)
+const hyparquet = await import('hyparquet').catch(() => null);
+
+// Fila exportada de un chart diario regional
+function row(country, date, rank) {
+  return {
+    chart_type: 'regional', period: 'daily', country, date, rank, uri: `spotify:track:${rank}`,
+    artist_names: 'Feid', track_name: `t${rank}`, source: null, peak_rank: rank, previous_rank: null,
+    days_on_chart: 1, weeks_on_chart: null, streams: 1000 - rank
+  };
+}
+
+// Filas ordenadas por fecha y país, como las lee el exportador
+const ROWS = [row('es', '2025-01-01', 1), row('mx', '2025-01-01', 1), row('es', '2025-01-02', 1), row('es', '2025-01-02', 2)];
+
+test('en CSV una partición que vuelve a aparecer sigue en su archivo', async () => {
+  const output = path.join(tempDir, 'csv');
+  const exporter = createExporter({ format: 'csv', output, partitionBy: ['country'] });
+  for (const chartRow of ROWS) {
+    await exporter.write(chartRow);
+  }
+  const { rows, files } = await exporter.close();
+
+  assert.equal(rows, 4);
+  assert.deepEqual(files, [path.join(output, 'country=es', 'charts.csv'), path.join(output, 'country=mx', 'charts.csv')]);
+  const es = parseCSV(fs.readFileSync(files[0], 'utf-8'));
+  assert.deepEqual(es.map(entry => [entry.date, entry.rank]), [['2025-01-01', '1'], ['2025-01-02', '1'], ['2025-01-02', '2']]);
+});
+
+test('en Parquet cada partición se cierra al cambiar y la que vuelve a aparecer va a otro archivo', { skip: !hyparquet }, async () => {
+  const output = path.join(tempDir, 'parquet');
+  const exporter = createExporter({ format: 'parquet', output, partitionBy: ['country'] });
+  for (const chartRow of ROWS) {
+    await exporter.write(chartRow);
+  }
+  const { files } = await exporter.close();
+
+  assert.deepEqual(files, [
+    path.join(output, 'country=es', 'charts.parquet'),
+    path.join(output, 'country=mx', 'charts.parquet'),
+    path.join(output, 'country=es', 'charts-2.parquet')
+  ]);
+  const read = async file => hyparquet.parquetReadObjects({ file: await hyparquet.asyncBufferFromFile(file) });
+  assert.deepEqual((await read(files[2])).map(entry => [entry.rank, entry.streams]), [[1, 999n], [2, 998n]]);
+});
+
+test('Parquet escribe las filas en grupos de PARQUET_ROW_GROUP_SIZE', { skip: !hyparquet }, async () => {
+  const output = path.join(tempDir, 'grupos.parquet');
+  const exporter = createExporter({ format: 'parquet', output });
+  for (let rank = 1; rank <= PARQUET_ROW_GROUP_SIZE + 1; rank++) {
+    await exporter.write(row('es', '2025-01-01', rank));
+  }
+  await exporter.close();
+
+  const metadata = await hyparquet.parquetMetadataAsync(await hyparquet.asyncBufferFromFile(output));
+  assert.deepEqual(metadata.row_groups.map(group => Number(group.num_rows)), [PARQUET_ROW_GROUP_SIZE, 1]);
+  assert.equal(Number(metadata.num_rows), PARQUET_ROW_GROUP_SIZE + 1);
+});
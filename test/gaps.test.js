@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { expectedDates, findGaps, gapsToJobs, scrapeArgs } from '../src/gaps.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+const DAILY = { type: 'regional', period: 'daily' };
+const WEEKLY = { type: 'regional', period: 'weekly' };
+
+test('expectedDates devuelve todos los días de los diarios y los jueves de los semanales', () => {
+  assert.deepEqual(expectedDates(DAILY, '2025-01-30', '2025-02-02'), ['2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02']);
+  assert.deepEqual(expectedDates(WEEKLY, '2025-01-01', '2025-01-20'), ['2025-01-02', '2025-01-09', '2025-01-16']);
+});
+
+test('findGaps encuentra los charts que faltan y los incompletos según el tamaño habitual', () => {
+  const dates = ['2025-01-01', '2025-01-02', '2025-01-03'];
+  const sizes = [
+    { country: 'es', date: '2025-01-01', tracks: 200 },
+    { country: 'es', date: '2025-01-02', tracks: 150 },
+    { country: 'es', date: '2025-01-03', tracks: 200 },
+    { country: 'mx', date: '2025-01-02', tracks: 50 }
+  ];
+
+  const gaps = findGaps({ countries: ['es', 'mx'], dates, sizes });
+  assert.equal(gaps.expected, 6);
+  assert.equal(gaps.present, 4);
+  assert.deepEqual(gaps.missing, [{ country: 'mx', date: '2025-01-01' }, { country: 'mx', date: '2025-01-03' }]);
+  assert.deepEqual(gaps.partial, [{ country: 'es', date: '2025-01-02', tracks: 150, expected: 200 }]);
+});
+
+test('findGaps usa expectedTracks si se indica y el chart más completo si está en varios orígenes', () => {
+  const sizes = [
+    { country: 'es', date: '2025-01-01', tracks: 150 },
+    { country: 'es', date: '2025-01-01', tracks: 200 },
+    { country: 'es', date: '2025-01-02', tracks: 180 }
+  ];
+
+  const gaps = findGaps({ countries: ['es'], dates: ['2025-01-01', '2025-01-02'], sizes, expectedTracks: 200 });
+  assert.deepEqual(gaps.missing, []);
+  assert.deepEqual(gaps.partial, [{ country: 'es', date: '2025-01-02', tracks: 180, expected: 200 }]);
+});
+
+test('gapsToJobs y scrapeArgs convierten los huecos en el comando de scrape', () => {
+  const gaps = {
+    missing: [{ country: 'mx', date: '2025-01-02' }],
+    partial: [{ country: 'es', date: '2025-01-09', tracks: 10, expected: 200 }]
+  };
+
+  const jobs = gapsToJobs(WEEKLY, gaps);
+  assert.deepEqual(jobs, [
+    { chart: WEEKLY, country: 'mx', date: '2025-01-02' },
+    { chart: WEEKLY, country: 'es', date: '2025-01-09' }
+  ]);
+  assert.deepEqual(scrapeArgs(WEEKLY, jobs, { force: true }), [
+    '--chart', 'regional', '--period', 'weekly',
+    '--target', '2025-01-02:mx', '--target', '2025-01-09:es',
+    '--force'
+  ]);
+  assert.deepEqual(scrapeArgs(DAILY, []), ['--chart', 'regional', '--period', 'daily']);
+});
+
+test('gaps --source both valida --storage', () => {
+  const args = ['gaps', '--source', 'both', '--storage', 'nada', '--from', '2025-01-01', '--to', '2025-01-01'];
+  const result = spawnSync(process.execPath, [CLI, ...args], { cwd: os.tmpdir(), env: { PATH: process.env.PATH }, encoding: 'utf-8' });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /El valor de --storage "nada" no es válido \(usa mssql, sqlite, postgres\)/);
+});
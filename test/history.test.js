@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTrackHistory, buildArtistHistory, historyToCSV } from '../src/history.js';
+import { parseCSV } from '../src/csv.js';
+
+// Fila de un chart diario regional
+function row(uri, artistNames, country, date, rank, streams) {
+  return { uri: `spotify:track:${uri}`, track_name: uri, artist_names: artistNames, country, date, rank, streams };
+}
+
+test('buildTrackHistory construye la serie de cada país con streams acumulados', () => {
+  const history = buildTrackHistory('spotify:track:a', [
+    row('a', 'Feid', 'es', '2025-01-02', 3, 200),
+    row('a', 'Feid', 'es', '2025-01-01', 5, 100),
+    row('a', 'Feid', 'mx', '2025-01-02', 1, 500),
+    row('a', 'Feid', 'global', '2025-01-02', 10, 9000)
+  ]);
+
+  assert.deepEqual(history.countries.map(country => country.country), ['es', 'global', 'mx']);
+  const [es] = history.countries;
+  assert.deepEqual([es.first_seen, es.last_seen, es.days_on_chart, es.best_rank, es.total_streams],
+    ['2025-01-01', '2025-01-02', 2, 3, 300]);
+  assert.deepEqual(es.series, [
+    { date: '2025-01-01', rank: 5, streams: 100, cumulative_streams: 100, days_on_chart: 1 },
+    { date: '2025-01-02', rank: 3, streams: 200, cumulative_streams: 300, days_on_chart: 2 }
+  ]);
+  // El global no se suma: ya incluye los streams de los países
+  assert.equal(history.total_streams, 800);
+  assert.deepEqual([history.track_name, history.artist_names], ['a', 'Feid']);
+});
+
+test('buildTrackHistory admite charts sin streams', () => {
+  const history = buildTrackHistory('spotify:track:a', [{ ...row('a', 'Feid', 'es', '2025-01-01', 5), streams: undefined }]);
+  assert.deepEqual(history.countries[0].series, [{ date: '2025-01-01', rank: 5, streams: null, cumulative_streams: 0, days_on_chart: 1 }]);
+  assert.deepEqual(buildTrackHistory('spotify:track:b', []), {
+    uri: 'spotify:track:b', track_name: null, artist_names: null, total_streams: 0, countries: []
+  });
+});
+
+test('buildArtistHistory suma las canciones del artista cada día y país', () => {
+  const rows = [
+    row('solo', 'Feid', 'es', '2025-01-01', 4, 300),
+    row('colab', 'Karol G, FEID', 'es', '2025-01-01', 2, 1000),
+    row('otra', 'Karol G', 'es', '2025-01-01', 1, 5000),
+    row('solo', 'Feid', 'global', '2025-01-01', 50, 7000)
+  ];
+
+  const full = buildArtistHistory('feid', rows);
+  assert.equal(full.artist, 'Feid');
+  assert.deepEqual(full.countries.find(country => country.country === 'es').series,
+    [{ date: '2025-01-01', tracks: 2, rank: 2, streams: 1300, cumulative_streams: 1300, days_on_chart: 1 }]);
+  assert.equal(full.total_streams, 1300);
+  assert.deepEqual(full.tracks.map(track => [track.track_name, track.collaboration, track.total_streams]),
+    [['colab', true, 1000], ['solo', false, 300]]);
+
+  // split reparte los streams de las colaboraciones entre sus artistas
+  const split = buildArtistHistory('Feid', rows, { collaborations: 'split' });
+  assert.equal(split.collaborations, 'split');
+  assert.equal(split.total_streams, 800);
+});
+
+test('buildArtistHistory devuelve el nombre pedido si no hay canciones', () => {
+  const history = buildArtistHistory('Nadie', [row('a', 'Feid', 'es', '2025-01-01', 1, 10)]);
+  assert.deepEqual([history.artist, history.total_streams, history.tracks, history.countries], ['Nadie', 0, [], []]);
+});
+
+test('historyToCSV escribe una fila por país y día', () => {
+  const track = historyToCSV(buildTrackHistory('spotify:track:a', [row('a', 'Feid', 'es', '2025-01-01', 5, 100)]));
+  assert.deepEqual(parseCSV(track), [{
+    uri: 'spotify:track:a', country: 'es', date: '2025-01-01', rank: '5', streams: '100', cumulative_streams: '100', days_on_chart: '1'
+  }]);
+
+  const artist = historyToCSV(buildArtistHistory('Tyler, The Creator', [row('a', 'Tyler, The Creator', 'es', '2025-01-01', 5, null)]));
+  assert.deepEqual(parseCSV(artist), [{
+    artist: 'Tyler, The Creator', country: 'es', date: '2025-01-01', tracks: '1', rank: '5', streams: '', cumulative_streams: '0', days_on_chart: '1'
+  }]);
+});
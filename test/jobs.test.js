@@ -0,0 +1,96 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  JOB_STATUS, jobKey, loadLedger, saveLedger, enqueueJobs, updateJob, unfinishedJobs, failedJobs
+} from '../src/jobs.js';
+
+const DAILY = { type: 'regional', period: 'daily' };
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// Registro de trabajos en un directorio temporal
+async function tempLedger() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spotify-charts-jobs-'));
+  tempDirs.push(dir);
+  return loadLedger(path.join(dir, 'jobs.json'));
+}
+
+function job(country, date = '2025-01-01') {
+  return { chart: DAILY, country, date };
+}
+
+test('jobKey identifica el chart, el país y la fecha', () => {
+  assert.equal(jobKey(job('es')), 'regional-daily:es:2025-01-01');
+});
+
+test('loadLedger devuelve un registro vacío si el archivo no existe', async () => {
+  const ledger = await tempLedger();
+  assert.deepEqual(ledger.jobs, []);
+});
+
+test('enqueueJobs añade los trabajos como pendientes y conserva los intentos al volver a añadirlos', async () => {
+  const ledger = await tempLedger();
+  enqueueJobs(ledger, [job('es'), job('mx')]);
+  assert.deepEqual(ledger.jobs.map(entry => [entry.key, entry.status, entry.attempts]), [
+    ['regional-daily:es:2025-01-01', JOB_STATUS.PENDING, 0],
+    ['regional-daily:mx:2025-01-01', JOB_STATUS.PENDING, 0]
+  ]);
+
+  await updateJob(ledger, job('es'), JOB_STATUS.IN_PROGRESS);
+  await updateJob(ledger, job('es'), JOB_STATUS.FAILED, { error: 'timeout' });
+  enqueueJobs(ledger, [job('es')]);
+
+  assert.equal(ledger.jobs.length, 2);
+  const entry = ledger.jobs.find(item => item.country === 'es');
+  assert.equal(entry.status, JOB_STATUS.PENDING);
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.last_error, null);
+});
+
+test('updateJob cuenta los intentos, guarda el último error y la fecha resuelta', async () => {
+  const ledger = await tempLedger();
+  enqueueJobs(ledger, [job('es', 'latest')]);
+
+  await updateJob(ledger, job('es', 'latest'), JOB_STATUS.IN_PROGRESS);
+  await updateJob(ledger, job('es', 'latest'), JOB_STATUS.FAILED, { error: 'timeout' });
+  let [entry] = ledger.jobs;
+  assert.deepEqual([entry.status, entry.attempts, entry.last_error], [JOB_STATUS.FAILED, 1, 'timeout']);
+
+  await updateJob(ledger, job('es', 'latest'), JOB_STATUS.IN_PROGRESS);
+  await updateJob(ledger, job('es', 'latest'), JOB_STATUS.DONE, { resolvedDate: '2025-01-01' });
+  [entry] = ledger.jobs;
+  assert.deepEqual([entry.status, entry.attempts, entry.last_error, entry.resolved_date],
+    [JOB_STATUS.DONE, 2, null, '2025-01-01']);
+});
+
+test('updateJob falla si el trabajo no está en el registro', async () => {
+  const ledger = await tempLedger();
+  await assert.rejects(updateJob(ledger, job('es'), JOB_STATUS.DONE), /no está en el registro/);
+});
+
+test('unfinishedJobs (--resume) y failedJobs (--retry-failed) eligen los trabajos por estado', async () => {
+  const ledger = await tempLedger();
+  enqueueJobs(ledger, ['es', 'mx', 'ar', 'co'].map(country => job(country)));
+  await updateJob(ledger, job('mx'), JOB_STATUS.IN_PROGRESS);
+  await updateJob(ledger, job('ar'), JOB_STATUS.IN_PROGRESS);
+  await updateJob(ledger, job('ar'), JOB_STATUS.FAILED, { error: 'timeout' });
+  await updateJob(ledger, job('co'), JOB_STATUS.IN_PROGRESS);
+  await updateJob(ledger, job('co'), JOB_STATUS.DONE, { resolvedDate: '2025-01-01' });
+
+  assert.deepEqual(unfinishedJobs(ledger), [job('es'), job('mx')]);
+  assert.deepEqual(failedJobs(ledger), [job('ar')]);
+});
+
+test('saveLedger guarda el registro en disco y loadLedger lo vuelve a leer', async () => {
+  const ledger = await tempLedger();
+  enqueueJobs(ledger, [job('es')]);
+  await saveLedger(ledger);
+
+  const reloaded = await loadLedger(ledger.file);
+  assert.deepEqual(reloaded.jobs, ledger.jobs);
+  await assert.rejects(fs.access(`${ledger.file}.tmp`));
+});
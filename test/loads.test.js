@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  LOAD_STATUS, hashContent, archivePath, storedChartPaths, failedPath, loadLoadLedger, findLoaded, recordLoad
+} from '../src/loads.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// Registro de cargas en un directorio temporal
+async function tempLedger() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spotify-charts-loads-'));
+  tempDirs.push(dir);
+  return loadLoadLedger(path.join(dir, 'loads.json'));
+}
+
+// Resultado de la carga de un archivo, como lo anota loadToDatabase.js
+function load(file, content, status = LOAD_STATUS.LOADED) {
+  return {
+    file,
+    chart: 'regional-daily',
+    country: 'es',
+    date: '2025-01-01',
+    sha256: hashContent(content),
+    status,
+    rowsTotal: 200,
+    rowsLoaded: status === LOAD_STATUS.LOADED ? 200 : 0,
+    rowsFailed: status === LOAD_STATUS.LOADED ? 0 : 200,
+    durationMs: 10
+  };
+}
+
+test('hashContent cambia con el contenido', () => {
+  assert.equal(hashContent('{"a":1}'), hashContent('{"a":1}'));
+  assert.notEqual(hashContent('{"a":1}'), hashContent('{"a":2}'));
+  assert.match(hashContent(''), /^[0-9a-f]{64}$/);
+});
+
+test('archivePath y failedPath guardan los archivos por fecha', () => {
+  const file = 'spotify_es_daily_2025-01-01.json';
+  assert.equal(archivePath(file, '2025-01-01', { dataDir: 'data' }), path.join('data', 'archive', '2025-01-01', file));
+  assert.equal(archivePath(file, '2025-01-01', { dataDir: 'data', gzip: true }),
+    path.join('data', 'archive', '2025-01-01', `${file}.gz`));
+  assert.equal(failedPath(file, '2025-01-01', 'data'), path.join('data', 'failed', '2025-01-01', file));
+});
+
+test('storedChartPaths incluye la carpeta de la fecha y el archivo con y sin gzip', () => {
+  const file = 'spotify_es_daily_2025-01-01.json';
+  assert.deepEqual(storedChartPaths(file, '2025-01-01', 'data'), [
+    path.join('data', '2025-01-01', file),
+    path.join('data', 'archive', '2025-01-01', file),
+    path.join('data', 'archive', '2025-01-01', `${file}.gz`)
+  ]);
+});
+
+test('findLoaded solo salta los archivos ya cargados con el mismo contenido', async () => {
+  const ledger = await tempLedger();
+  const file = 'spotify_es_daily_2025-01-01.json';
+  await recordLoad(ledger, load(file, 'v1'));
+  await recordLoad(ledger, load('spotify_mx_daily_2025-01-01.json', 'v2', LOAD_STATUS.FAILED));
+
+  assert.equal(findLoaded(ledger, file, hashContent('v1'))?.rows_loaded, 200);
+  // El archivo cambió desde la carga: se vuelve a cargar
+  assert.equal(findLoaded(ledger, file, hashContent('v1 corregido')), undefined);
+  // Una carga fallida no cuenta como cargada
+  assert.equal(findLoaded(ledger, 'spotify_mx_daily_2025-01-01.json', hashContent('v2')), undefined);
+});
+
+test('recordLoad sustituye la entrada del mismo archivo y contenido y guarda el registro', async () => {
+  const ledger = await tempLedger();
+  const file = 'spotify_es_daily_2025-01-01.json';
+  await recordLoad(ledger, load(file, 'v1', LOAD_STATUS.FAILED));
+  await recordLoad(ledger, { ...load(file, 'v1'), movedTo: 'data/archive/2025-01-01/x.json' });
+  await recordLoad(ledger, load(file, 'v2'));
+
+  assert.deepEqual(ledger.loads.map(entry => [entry.sha256, entry.status]), [
+    [hashContent('v1'), LOAD_STATUS.LOADED],
+    [hashContent('v2'), LOAD_STATUS.LOADED]
+  ]);
+  assert.equal(ledger.loads[0].moved_to, 'data/archive/2025-01-01/x.json');
+  assert.equal(ledger.loads[1].error, null);
+
+  const reloaded = await loadLoadLedger(ledger.file);
+  assert.deepEqual(reloaded.loads, ledger.loads);
+});
@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { acquireLock, readLock } from '../src/lock.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-charts-lock-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let counter = 0;
+function lockFile() {
+  return path.join(tempDir, `daemon-${++counter}.lock`);
+}
+
+// PID que no corresponde a ningún proceso vivo
+const DEAD_PID = 2 ** 22 + 12345;
+
+test('acquireLock toma el bloqueo libre y lo libera', () => {
+  const file = lockFile();
+  const lock = acquireLock(file);
+  assert.equal(lock.acquired, true);
+  assert.equal(readLock(file).pid, process.pid);
+
+  lock.release();
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('acquireLock no toma un bloqueo de un proceso vivo', () => {
+  const file = lockFile();
+  const owner = { pid: process.ppid, started_at: '2025-01-01T00:00:00.000Z' };
+  fs.writeFileSync(file, JSON.stringify(owner));
+
+  const lock = acquireLock(file);
+  assert.equal(lock.acquired, false);
+  assert.deepEqual(lock.owner, owner);
+  assert.deepEqual(readLock(file), owner);
+});
+
+test('acquireLock reemplaza el bloqueo abandonado por un proceso que ya no existe', () => {
+  const file = lockFile();
+  fs.writeFileSync(file, JSON.stringify({ pid: DEAD_PID, started_at: '2025-01-01T00:00:00.000Z' }));
+
+  const lock = acquireLock(file);
+  assert.equal(lock.acquired, true);
+  assert.equal(readLock(file).pid, process.pid);
+  lock.release();
+});
+
+test('release no borra un bloqueo que ya es de otro proceso', () => {
+  const file = lockFile();
+  const lock = acquireLock(file);
+  fs.writeFileSync(file, JSON.stringify({ pid: process.ppid, started_at: '2025-01-01T00:00:00.000Z' }));
+
+  lock.release();
+  assert.equal(readLock(file).pid, process.ppid);
+});
+
+test('acquireLock escribe el bloqueo completo de una vez y no deja archivos temporales', () => {
+  const dir = fs.mkdtempSync(path.join(tempDir, 'link-'));
+  const file = path.join(dir, 'daemon.lock');
+  const lock = acquireLock(file);
+  assert.deepEqual(fs.readdirSync(dir), ['daemon.lock']);
+
+  // Un segundo intento no toca el bloqueo existente
+  const other = acquireLock(file);
+  assert.equal(other.acquired, false);
+  assert.equal(other.owner.pid, process.pid);
+  assert.deepEqual(fs.readdirSync(dir), ['daemon.lock']);
+  lock.release();
+});
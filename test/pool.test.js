@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, runPool } from '../src/pool.js';
+import { sleep } from '../src/utils.js';
+
+test('runPool no ejecuta más de concurrency trabajos a la vez', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const done = [];
+
+  await runPool([...Array(10).keys()], 3, async item => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(5);
+    done.push(item);
+    running--;
+  });
+
+  assert.equal(maxRunning, 3);
+  assert.deepEqual(done.sort((a, b) => a - b), [...Array(10).keys()]);
+});
+
+test('runPool pasa a cada trabajo su índice y el id de su worker', async () => {
+  const calls = [];
+  await runPool(['a', 'b', 'c'], 2, async (item, index, workerId) => {
+    calls.push([item, index, workerId]);
+  });
+
+  assert.deepEqual(calls.map(([item, index]) => [item, index]), [['a', 0], ['b', 1], ['c', 2]]);
+  assert.ok(calls.every(([, , workerId]) => workerId === 1 || workerId === 2));
+});
+
+test('runPool no arranca más workers que trabajos', async () => {
+  const workers = new Set();
+  await runPool(['a'], 4, async (item, index, workerId) => workers.add(workerId));
+  assert.deepEqual([...workers], [1]);
+  await runPool([], 4, async () => assert.fail('no hay trabajos'));
+});
+
+test('runPool sigue con los demás trabajos si uno falla y al terminar lanza su error', async () => {
+  const done = [];
+  await assert.rejects(
+    runPool([...Array(6).keys()], 2, async item => {
+      await sleep(1);
+      if (item === 1 || item === 4) {
+        throw new Error(`falla ${item}`);
+      }
+      done.push(item);
+    }),
+    { message: 'falla 1' }
+  );
+
+  assert.deepEqual(done.sort((a, b) => a - b), [0, 2, 3, 5]);
+});
+
+test('createRateLimiter reparte las peticiones de todos los workers en intervalos regulares', async () => {
+  // 600 por minuto: una cada 100 ms
+  const acquire = createRateLimiter(600);
+  const start = Date.now();
+  const times = [];
+
+  await runPool([1, 2, 3, 4], 4, async () => {
+    await acquire();
+    times.push(Date.now() - start);
+  });
+
+  times.sort((a, b) => a - b);
+  assert.ok(times[0] < 50, `${times}`);
+  assert.ok(times[3] >= 290, `${times}`);
+});
+
+test('createRateLimiter con 0 peticiones por minuto no limita', async () => {
+  const acquire = createRateLimiter(0);
+  const start = Date.now();
+  for (let i = 0; i < 100; i++) {
+    await acquire();
+  }
+  assert.ok(Date.now() - start < 50);
+});
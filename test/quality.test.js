@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkChartQuality, summarizeIssues } from '../src/quality.js';
+
+const DAILY = { type: 'regional', period: 'daily' };
+
+// Chart normalizado correcto de n canciones, con streams decrecientes
+function chartData(n = 3) {
+  const tracks = Array.from({ length: n }, (_, index) => ({
+    rank: index + 1,
+    uri: `spotify:track:${index + 1}`,
+    artist_names: 'Artista',
+    track_name: `Canción ${index + 1}`,
+    peak_rank: 1,
+    previous_rank: index + 1,
+    days_on_chart: 10,
+    streams: 1000 - index * 100
+  }));
+  return { country: 'es', date: '2025-01-01', total_tracks: n, tracks };
+}
+
+// Controles que han fallado, como lista de nombres
+function failed(report) {
+  return report.errors.map(issue => issue.check);
+}
+
+test('checkChartQuality aprueba un chart correcto', () => {
+  const report = checkChartQuality(chartData(), DAILY);
+  assert.equal(report.passed, true);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, []);
+  assert.deepEqual([report.chart, report.period, report.country, report.date, report.total_tracks],
+    ['regional', 'daily', 'es', '2025-01-01', 3]);
+});
+
+test('checkChartQuality exige ranks únicos y contiguos de 1 a N', () => {
+  const gap = chartData();
+  gap.tracks[2].rank = 4;
+  assert.deepEqual(failed(checkChartQuality(gap, DAILY)), ['rank_contiguity']);
+
+  const repeated = chartData();
+  repeated.tracks[2].rank = 2;
+  assert.ok(failed(checkChartQuality(repeated, DAILY)).includes('rank_contiguity'));
+});
+
+test('checkChartQuality exige peak_rank <= rank', () => {
+  const data = chartData();
+  data.tracks[0].peak_rank = 2;
+  const report = checkChartQuality(data, DAILY);
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.errors.map(issue => [issue.check, issue.rank]), [['peak_rank', 1]]);
+});
+
+test('checkChartQuality rechaza URIs duplicadas o de otro tipo', () => {
+  const data = chartData();
+  data.tracks[1].uri = data.tracks[0].uri;
+  data.tracks[2].uri = 'spotify:artist:3';
+  assert.deepEqual(checkChartQuality(data, DAILY).errors.map(issue => [issue.check, issue.rank]),
+    [['uri_duplicate', 2], ['uri', 3]]);
+
+  const artists = chartData(1);
+  artists.tracks[0].uri = 'spotify:artist:1';
+  assert.equal(checkChartQuality(artists, { type: 'artist', period: 'weekly' }).passed, true);
+});
+
+test('checkChartQuality exige streams positivos y que no crezcan con el rank', () => {
+  const zero = chartData();
+  zero.tracks[2].streams = 0;
+  assert.deepEqual(failed(checkChartQuality(zero, DAILY)), ['streams']);
+
+  const unordered = chartData();
+  unordered.tracks[2].streams = 5000;
+  const report = checkChartQuality(unordered, DAILY);
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.errors.map(issue => [issue.check, issue.rank]), [['streams_order', 3]]);
+
+  // Streams iguales en ranks seguidos no son un error
+  const tied = chartData();
+  tied.tracks[2].streams = tied.tracks[1].streams;
+  assert.equal(checkChartQuality(tied, DAILY).passed, true);
+
+  // Los charts sin streams (p.ej. viral) no se revisan
+  const viral = chartData();
+  viral.tracks.forEach(track => delete track.streams);
+  assert.equal(checkChartQuality(viral, { type: 'viral', period: 'daily' }).passed, true);
+});
+
+test('checkChartQuality rechaza números no válidos, charts vacíos y total_tracks que no coincide', () => {
+  const nan = chartData();
+  nan.tracks[0].previous_rank = NaN;
+  assert.deepEqual(failed(checkChartQuality(nan, DAILY)), ['numeric']);
+
+  assert.deepEqual(failed(checkChartQuality({ date: '2025-01-01', total_tracks: 0, tracks: [] }, DAILY)), ['tracks']);
+
+  const total = chartData();
+  total.total_tracks = 200;
+  assert.deepEqual(failed(checkChartQuality(total, DAILY)), ['total_tracks']);
+
+  const missing = chartData();
+  delete missing.total_tracks;
+  const report = checkChartQuality(missing, DAILY);
+  assert.equal(report.passed, true);
+  assert.deepEqual(report.warnings.map(issue => issue.check), ['total_tracks']);
+});
+
+test('summarizeIssues resume los primeros problemas', () => {
+  const issues = [
+    { check: 'a', message: 'uno' },
+    { check: 'b', rank: 2, message: 'dos' },
+    { check: 'c', message: 'tres' },
+    { check: 'd', message: 'cuatro' }
+  ];
+  assert.equal(summarizeIssues(issues), 'uno; rank 2: dos; tres (y 1 más)');
+  assert.equal(summarizeIssues(issues.slice(0, 1)), 'uno');
+});
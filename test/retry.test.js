@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FAILURE_KINDS, ScrapeError, classifyError } from '../src/errors.js';
+import { backoffDelay, withRetry } from '../src/retry.js';
+
+// Esperas de 1 ms para que los tests no tarden
+const FAST = { baseDelay: 1, maxDelay: 1 };
+
+test('classifyError distingue los fallos transitorios de los permanentes', () => {
+  const timeout = new Error('Waiting failed');
+  timeout.name = 'TimeoutError';
+
+  assert.equal(classifyError(new Error('net::ERR_CONNECTION_RESET at https://charts.spotify.com')), FAILURE_KINDS.TRANSIENT);
+  assert.equal(classifyError(new Error('read ECONNRESET')), FAILURE_KINDS.TRANSIENT);
+  assert.equal(classifyError(new Error('Navigation timeout of 30000 ms exceeded')), FAILURE_KINDS.TRANSIENT);
+  assert.equal(classifyError(new Error('Protocol error (Page.navigate): Target closed')), FAILURE_KINDS.TRANSIENT);
+  assert.equal(classifyError(timeout), FAILURE_KINDS.TRANSIENT);
+  assert.equal(classifyError(new ScrapeError('Sesión caducada', FAILURE_KINDS.AUTH)), FAILURE_KINDS.AUTH);
+  assert.equal(classifyError(new Error('Cannot read properties of undefined')), FAILURE_KINDS.UNKNOWN);
+});
+
+test('backoffDelay crece exponencialmente con jitter y no pasa del máximo', () => {
+  for (let i = 0; i < 50; i++) {
+    const first = backoffDelay(1, 1000, 10000);
+    const third = backoffDelay(3, 1000, 10000);
+    const capped = backoffDelay(10, 1000, 10000);
+    assert.ok(first >= 500 && first <= 1000, `${first}`);
+    assert.ok(third >= 2000 && third <= 4000, `${third}`);
+    assert.ok(capped >= 5000 && capped <= 10000, `${capped}`);
+  }
+});
+
+test('withRetry reintenta los fallos transitorios hasta retries veces', async () => {
+  const retries = [];
+  let calls = 0;
+  const error = new Error('read ECONNRESET');
+
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw error;
+  }, { ...FAST, retries: 2, onRetry: async (_error, attempt) => retries.push(attempt) }), thrown => thrown === error);
+
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, [1, 2]);
+  assert.equal(error.kind, FAILURE_KINDS.TRANSIENT);
+});
+
+test('withRetry devuelve el resultado en cuanto un intento funciona', async () => {
+  const result = await withRetry(async attempt => {
+    if (attempt < 3) {
+      throw new Error('socket hang up');
+    }
+    return attempt;
+  }, { ...FAST, retries: 5 });
+  assert.equal(result, 3);
+});
+
+test('withRetry no reintenta los fallos permanentes', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new ScrapeError('Chart no encontrado', FAILURE_KINDS.NOT_FOUND);
+  }, { ...FAST, retries: 3 }), { kind: FAILURE_KINDS.NOT_FOUND });
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new TypeError('x is not a function');
+  }, { ...FAST, retries: 3 }), { kind: FAILURE_KINDS.UNKNOWN });
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,86 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Los logs y temporales de la descarga van a un directorio temporal (la configuración se lee al importar)
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-charts-scrape-'));
+process.env.SPOTIFY_CHARTS_OUTPUT_DIR = tempDir;
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+// Los logs de la descarga no se muestran
+mock.method(console, 'log', () => {});
+
+const { runJobs } = await import('../src/commands/scrape.js');
+const { JOB_STATUS, loadLedger, enqueueJobs } = await import('../src/jobs.js');
+const { FAILURE_KINDS, ScrapeError } = await import('../src/errors.js');
+
+const DAILY = { type: 'regional', period: 'daily' };
+
+// Navegador de prueba cuyas páginas no se llegan a abrir: cada intento lanza el error que devuelve fail()
+function failingBrowser(fail) {
+  let attempts = 0;
+  return {
+    get attempts() {
+      return attempts;
+    },
+    async newPage() {
+      attempts++;
+      throw fail();
+    }
+  };
+}
+
+// Plan de "scrape --dates" con reintentos sin espera
+function plan(countries) {
+  return {
+    mode: 'dates',
+    jobs: countries.map(country => ({ chart: DAILY, country, date: '2025-01-01' })),
+    force: true,
+    rateLimit: 0,
+    retry: { retries: 2, baseDelay: 1, maxDelay: 1 }
+  };
+}
+
+test('runJobs clasifica cada fallo, reintenta solo los transitorios y lo anota en el registro', async () => {
+  const jobsPlan = plan(['es', 'mx', 'ar']);
+  const ledger = await loadLedger(path.join(tempDir, 'jobs.json'));
+  enqueueJobs(ledger, jobsPlan.jobs);
+
+  // Un navegador por worker: el worker n procesa el trabajo n
+  const browsers = [
+    failingBrowser(() => new Error('net::ERR_CONNECTION_RESET')),
+    failingBrowser(() => new ScrapeError('Chart no encontrado', FAILURE_KINDS.NOT_FOUND)),
+    failingBrowser(() => new TypeError('page.target is not a function'))
+  ];
+  const stats = await runJobs(browsers, jobsPlan, ledger, null);
+
+  assert.equal(stats.errors, 3);
+  assert.equal(stats.success, 0);
+  assert.deepEqual([stats.failures[FAILURE_KINDS.TRANSIENT], stats.failures[FAILURE_KINDS.NOT_FOUND], stats.failures[FAILURE_KINDS.UNKNOWN]], [1, 1, 1]);
+  assert.deepEqual(browsers.map(browser => browser.attempts), [3, 1, 1]);
+
+  assert.deepEqual(ledger.jobs.map(entry => [entry.country, entry.status, entry.attempts, entry.last_error_kind]), [
+    // Cada reintento cuenta como intento
+    ['es', JOB_STATUS.FAILED, 3, FAILURE_KINDS.TRANSIENT],
+    ['mx', JOB_STATUS.FAILED, 1, FAILURE_KINDS.NOT_FOUND],
+    ['ar', JOB_STATUS.FAILED, 1, FAILURE_KINDS.UNKNOWN]
+  ]);
+});
+
+test('runJobs sigue con los demás trabajos si no se puede escribir el registro', async () => {
+  const jobsPlan = plan(['es', 'mx']);
+  // El registro cuelga de un archivo: no se puede crear su directorio
+  const blocker = path.join(tempDir, 'no-es-un-directorio');
+  fs.writeFileSync(blocker, '');
+  const ledger = await loadLedger(path.join(tempDir, 'jobs-bloqueado.json'));
+  enqueueJobs(ledger, jobsPlan.jobs);
+  ledger.file = path.join(blocker, 'jobs.json');
+
+  const browsers = [failingBrowser(() => new Error('no se usa')), failingBrowser(() => new Error('no se usa'))];
+  const stats = await runJobs(browsers, jobsPlan, ledger, null);
+
+  assert.equal(stats.errors, 2);
+  assert.equal(stats.failures[FAILURE_KINDS.UNKNOWN], 2);
+  assert.deepEqual(browsers.map(browser => browser.attempts), [0, 0]);
+});
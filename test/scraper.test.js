@@ -0,0 +1,39 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// data/ de prueba en un directorio temporal (la configuración se lee al importar)
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-charts-scraper-'));
+process.env.SPOTIFY_CHARTS_OUTPUT_DIR = tempDir;
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+mock.method(console, 'log', () => {});
+
+const { checkIfFileExists } = await import('../src/scraper.js');
+const { chartFileName } = await import('../src/charts.js');
+
+const DAILY = { type: 'regional', period: 'daily' };
+
+// Guarda un archivo vacío en una ruta relativa a data/
+function store(...parts) {
+  const file = path.join(tempDir, ...parts);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '');
+}
+
+test('checkIfFileExists encuentra el chart en la carpeta de su fecha', async () => {
+  store('2025-01-01', chartFileName(DAILY, 'es', '2025-01-01'));
+  assert.equal(await checkIfFileExists(DAILY, 'es', '2025-01-01'), true);
+  assert.equal(await checkIfFileExists(DAILY, 'es', '2025-01-02'), false);
+  assert.equal(await checkIfFileExists({ type: 'viral', period: 'daily' }, 'es', '2025-01-01'), false);
+});
+
+test('checkIfFileExists cuenta los charts ya cargados y archivados, con o sin gzip', async () => {
+  store('archive', '2025-01-03', chartFileName(DAILY, 'mx', '2025-01-03'));
+  store('archive', '2025-01-04', `${chartFileName(DAILY, 'mx', '2025-01-04')}.gz`);
+
+  assert.equal(await checkIfFileExists(DAILY, 'mx', '2025-01-03'), true);
+  assert.equal(await checkIfFileExists(DAILY, 'mx', '2025-01-04'), true);
+  assert.equal(await checkIfFileExists(DAILY, 'mx', '2025-01-05'), false);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSpread, findBreakouts, shiftDate } from '../src/spread.js';
+
+// Fila de un chart diario regional
+function row(uri, country, date, rank, days = null) {
+  return { uri: `spotify:track:${uri}`, track_name: uri, artist_names: 'Artista', country, date, rank, days_on_chart: days };
+}
+
+test('shiftDate desplaza la fecha los días indicados', () => {
+  assert.equal(shiftDate('2025-03-01', -1), '2025-02-28');
+  assert.equal(shiftDate('2024-12-31', 1), '2025-01-01');
+  assert.equal(shiftDate('2025-01-10', 0), '2025-01-10');
+});
+
+test('computeSpread cuenta países, rank mediano y orden de entrada de cada canción', () => {
+  const [track] = computeSpread([
+    row('a', 'es', '2025-01-01', 10),
+    row('a', 'mx', '2025-01-01', 4),
+    row('a', 'es', '2025-01-02', 8),
+    row('a', 'mx', '2025-01-02', 2),
+    row('a', 'ar', '2025-01-02', 20),
+    row('a', 'global', '2025-01-02', 1)
+  ]);
+
+  assert.deepEqual([track.first_country, track.first_date, track.markets], ['mx', '2025-01-01', 3]);
+  assert.deepEqual(track.entries.map(entry => entry.country), ['mx', 'es', 'ar']);
+  assert.deepEqual(track.days, [
+    { date: '2025-01-01', countries: 2, median_rank: 7, best_rank: 4, new_countries: ['es', 'mx'] },
+    { date: '2025-01-02', countries: 3, median_rank: 8, best_rank: 2, new_countries: ['ar'] }
+  ]);
+});
+
+test('computeSpread ordena las canciones por número de países', () => {
+  const spread = computeSpread([
+    row('local', 'es', '2025-01-01', 1),
+    row('hit', 'es', '2025-01-02', 2),
+    row('hit', 'mx', '2025-01-02', 1)
+  ]);
+  assert.deepEqual(spread.map(track => [track.track_name, track.markets]), [['hit', 2], ['local', 1]]);
+});
+
+test('computeSpread marca si la entrada fue el debut de la canción en ese chart', () => {
+  const [track] = computeSpread([row('a', 'es', '2025-01-01', 5, 1), row('a', 'mx', '2025-01-01', 5, 30), row('a', 'ar', '2025-01-01', 5)]);
+  assert.deepEqual(track.entries.map(entry => [entry.country, entry.debut]), [['ar', null], ['es', true], ['mx', false]]);
+});
+
+test('findBreakouts detecta las canciones que entran en muchos países nuevos en la ventana', () => {
+  const rows = [
+    // Entra en 3 países en la ventana; en mx ya estaba (30 días en el chart)
+    row('breakout', 'es', '2025-01-06', 50, 1),
+    row('breakout', 'ar', '2025-01-07', 40, 1),
+    row('breakout', 'co', '2025-01-07', 30, 1),
+    row('breakout', 'mx', '2025-01-07', 10, 30),
+    // Entró antes de la ventana
+    row('vieja', 'es', '2025-01-01', 1, 1),
+    row('vieja', 'mx', '2025-01-01', 1, 1),
+    row('vieja', 'ar', '2025-01-01', 1, 1)
+  ];
+
+  const breakouts = findBreakouts(rows, { date: '2025-01-07', days: 3, minCountries: 3 });
+  assert.equal(breakouts.length, 1);
+  assert.deepEqual(breakouts[0].entered.map(entry => entry.country), ['es', 'co', 'ar']);
+  assert.deepEqual([breakouts[0].new_countries, breakouts[0].countries_on_date, breakouts[0].median_rank_on_date], [3, 3, 30]);
+
+  assert.deepEqual(findBreakouts(rows, { date: '2025-01-07', days: 3, minCountries: 4 }), []);
+});